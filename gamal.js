@@ -1,35 +1,330 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
 const readline = require('readline');
 const { spawn } = require('child_process');
 const { Readable } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const GAMAL_VERSION = '1.0.0'; // the single source of the version, e.g. for --version and the traces
+
+const COMMANDS = {
+    ask: { usage: 'ask <question>', description: 'Answer a single question (or read it from stdin) and exit' },
+    chat: { usage: 'chat', description: 'Chat interactively in the terminal' },
+    serve: { usage: 'serve', description: 'Run the web interface and the HTTP API' },
+    telegram: { usage: 'telegram', description: 'Run as a Telegram bot (requires GAMAL_TELEGRAM_TOKEN)' },
+    matrix: { usage: 'matrix', description: 'Run as a Matrix bot (requires GAMAL_MATRIX_URL and GAMAL_MATRIX_TOKEN)' },
+    eval: { usage: 'eval <file...>', description: 'Evaluate the test cases in the given files' }
+};
+
+/**
+ * Command-line flags. A flag with `env` overrides that environment variable,
+ * otherwise the environment variable stays in effect.
+ */
+const FLAGS = {
+    model: { env: 'LLM_CHAT_MODEL', value: 'name', description: 'LLM model' },
+    'base-url': { env: 'LLM_API_BASE_URL', value: 'url', description: 'Base URL of the LLM API' },
+    searxng: { env: 'SEARXNG_URL', value: 'url', description: 'URL of the SearXNG instance' },
+    'top-k': { env: 'SEARCH_TOP_K', value: 'count', description: 'Number of references per search (default: 3)' },
+    port: { env: 'GAMAL_HTTP_PORT', value: 'number', description: 'HTTP port to serve (default: 5000)' },
+    format: { value: 'text|json', description: 'Output format of ask (default: text)' },
+    config: { env: 'GAMAL_CONFIG', value: 'path', description: 'Config file with the profiles' },
+    profile: { env: 'GAMAL_PROFILE', value: 'name', description: 'Profile from the config file' },
+    debug: { value: 'list', optional: true, description: 'Debug output of chat, pipeline, search, fetch, voice, fail-exit' },
+    help: { short: 'h', description: 'Show this help and exit' },
+    version: { short: 'v', description: 'Show the version and exit' }
+};
+
+const DEBUG_SWITCHES = {
+    chat: 'LLM_DEBUG_CHAT',
+    pipeline: 'LLM_DEBUG_PIPELINE',
+    search: 'LLM_DEBUG_SEARCH',
+    fetch: 'LLM_DEBUG_FETCH',
+    voice: 'VOICE_DEBUG',
+    'fail-exit': 'LLM_DEBUG_FAIL_EXIT'
+};
+
+/**
+ * Parses the command-line arguments into the subcommand, its operands, and the flags.
+ * Flags can appear anywhere, either as `--flag value` or `--flag=value`.
+ * Without a known subcommand, every operand is a test file to evaluate (as before).
+ *
+ * @param {Array<string>} args - The command-line arguments (without node and the script).
+ * @returns {{command: string, operands: Array<string>, options: Object, error: string}} The parsed arguments.
+ */
+const parse = (args) => {
+    const shorts = Object.keys(FLAGS).filter((name) => FLAGS[name].short);
+    const options = {};
+    const operands = [];
+    for (let i = 0; i < args.length; ++i) {
+        const arg = args[i];
+        if (arg === '--') {
+            operands.push(...args.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            operands.push(arg);
+            continue;
+        }
+        const separator = arg.indexOf('=');
+        const flag = arg.replace(/^--?/, '');
+        let name = (separator > 0) ? arg.substring(0, separator).replace(/^--?/, '') : flag;
+        if (!arg.startsWith('--')) {
+            name = shorts.find((key) => FLAGS[key].short === name) || name;
+        }
+        const spec = FLAGS[name];
+        if (!spec) {
+            return { error: `Unknown option ${arg}` };
+        }
+        if (separator > 0) {
+            if (!spec.value) {
+                return { error: `Option --${name} does not take a value` };
+            }
+            options[name] = arg.substring(separator + 1);
+        } else if (!spec.value || spec.optional) {
+            options[name] = true;
+        } else if (i + 1 < args.length) {
+            options[name] = args[++i];
+        } else {
+            return { error: `Option --${name} requires a ${spec.value}` };
+        }
+    }
+    const command = COMMANDS[operands[0]] ? operands.shift() : null;
+    return { command, operands, options };
+};
+
+/**
+ * Returns the usage information, listing all the subcommands and flags.
+ *
+ * @returns {string} The help text.
+ */
+const usage = () => {
+    const pad = (text) => text.padEnd(24);
+    const commands = Object.keys(COMMANDS).map((name) => {
+        const { usage: synopsis, description } = COMMANDS[name];
+        return `  ${pad(synopsis)}${description}`;
+    });
+    const flags = Object.keys(FLAGS).map((name) => {
+        const { env, value, optional, short, description } = FLAGS[name];
+        const arg = value ? (optional ? `[=${value}]` : ` <${value}>`) : '';
+        const flag = (short ? `-${short}, ` : '') + `--${name}${arg}`;
+        return `  ${pad(flag)}${description}${env ? ` [env: ${env}]` : ''}`;
+    });
+    return [
+        'Usage: gamal.js [command] [options]',
+        '',
+        'Commands:',
+        ...commands,
+        '',
+        'Options:',
+        ...flags,
+        '',
+        'Without a command, Gamal chats in the terminal, or serves HTTP (if GAMAL_HTTP_PORT is set),',
+        'or runs as a Telegram bot (if GAMAL_TELEGRAM_TOKEN is set), or as a Matrix bot (if GAMAL_MATRIX_TOKEN is set).'
+    ].join('\n');
+};
+
+const CLI = parse(process.argv.slice(2));
+Object.keys(FLAGS).forEach((name) => {
+    const { env } = FLAGS[name];
+    const value = CLI.options && CLI.options[name];
+    if (env && typeof value === 'string') {
+        process.env[env] = value;
+    }
+});
+if (CLI.options && CLI.options.debug) {
+    const { debug } = CLI.options;
+    const switches = (debug === true) ? ['chat', 'pipeline', 'search', 'fetch'] : debug.split(',');
+    switches.map((name) => name.trim()).forEach((name) => {
+        if (DEBUG_SWITCHES[name]) {
+            process.env[DEBUG_SWITCHES[name]] = '1';
+        } else {
+            CLI.error = `Unknown debug switch ${name} (supported: ${Object.keys(DEBUG_SWITCHES).join(', ')})`;
+        }
+    });
+}
+
+/**
+ * Settings which a profile from the config file can switch, besides TTS_VOICE_* (per language).
+ */
+const PROFILE_SETTINGS = [
+    'LLM_API_KEY', 'LLM_API_BASE_URL', 'LLM_API_PROVIDER', 'LLM_CHAT_MODEL', 'LLM_JSON_SCHEMA',
+    'SEARCH_PROVIDER', 'SEARCH_API_URL', 'SEARCH_API_KEY', 'SEARCH_LOCAL_PATH', 'SEARXNG_URL',
+    'TTS_API_BASE_URL', 'TTS_API_KEY', 'TTS_MODEL', 'TTS_VOICE'
+];
+
+const switchable = (key) => PROFILE_SETTINGS.includes(key) || key.startsWith('TTS_VOICE_');
+
+const BASELINE = Object.keys(process.env)
+    .filter(switchable)
+    .reduce((settings, key) => ({ ...settings, [key]: process.env[key] }), {});
+
+/**
+ * Loads the config file, from GAMAL_CONFIG, or else .gamal.json in the current directory,
+ * or else gamal/config.json in the user's config directory (usually ~/.config).
+ * The file contains named profiles, each a set of environment variables, and optionally
+ * the profile to use at startup, e.g.
+ *   { "profile": "groq", "profiles": { "groq": { "LLM_API_BASE_URL": "...", "LLM_CHAT_MODEL": "..." } } }
+ * as well as the price table of the models (see `price`).
+ *
+ * @returns {{file: string, profile: string, profiles: Object.<string, Object>, prices: Object}} The config.
+ */
+const configure = () => {
+    const home = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    const candidates = process.env.GAMAL_CONFIG ?
+        [process.env.GAMAL_CONFIG] : [path.resolve('.gamal.json'), path.join(home, 'gamal', 'config.json')];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        process.env.GAMAL_CONFIG && console.error(`Config file ${process.env.GAMAL_CONFIG} does not exist!`);
+        return { profiles: {}, prices: {} };
+    }
+    try {
+        const { profile, profiles = {}, prices = {} } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        Object.keys(profiles).forEach((name) => {
+            Object.keys(profiles[name]).filter((key) => !switchable(key)).forEach((key) => {
+                console.error(`Ignoring ${key} in profile ${name}: it can not be part of a profile.`);
+                delete profiles[name][key];
+            });
+        });
+        return { file, profile, profiles, prices };
+    } catch (e) {
+        console.error(`Unable to read the config file ${file}: ${e.toString()}`);
+        return { file, profiles: {}, prices: {} };
+    }
+};
+
+const CONFIG = configure();
+let PROFILE = null;
+
+/**
+ * Activates a profile: its settings replace the environment variables (of the switchable settings),
+ * except the ones in `keep`. Without a name, the original environment variables are restored.
+ *
+ * @param {string} name - The name of the profile.
+ * @param {Array<string>} keep - The environment variables not to replace.
+ */
+const enable = (name, keep = []) => {
+    const settings = name ? CONFIG.profiles[name] : {};
+    Object.keys(process.env).filter(switchable).filter((key) => !keep.includes(key)).forEach((key) => {
+        delete process.env[key];
+    });
+    Object.keys(BASELINE).filter((key) => !keep.includes(key)).forEach((key) => {
+        process.env[key] = BASELINE[key];
+    });
+    Object.keys(settings).filter((key) => !keep.includes(key)).forEach((key) => {
+        process.env[key] = String(settings[key]);
+    });
+    PROFILE = name || null;
+};
+
+/**
+ * Environment variables set by command-line flags, which take precedence over every profile.
+ */
+const FLAGGED = Object.keys(FLAGS)
+    .filter((flag) => FLAGS[flag].env && typeof CLI.options?.[flag] === 'string')
+    .map((flag) => FLAGS[flag].env);
+
+if (process.env.GAMAL_PROFILE || CONFIG.profile) {
+    const name = process.env.GAMAL_PROFILE || CONFIG.profile;
+    if (CONFIG.profiles[name]) {
+        enable(name, FLAGGED);
+    } else {
+        CLI.error = `Unknown profile ${name} (available: ${Object.keys(CONFIG.profiles).join(', ') || 'none'})`;
+    }
+}
 
 const GAMAL_HTTP_PORT = process.env.GAMAL_HTTP_PORT;
+const GAMAL_SESSION_TIMEOUT = parseInt(process.env.GAMAL_SESSION_TIMEOUT, 10) || 60; // minutes
+const GAMAL_CONCURRENCY = parseInt(process.env.GAMAL_CONCURRENCY, 10) || 4;
+const GAMAL_RATE_LIMIT = parseInt(process.env.GAMAL_RATE_LIMIT, 10) || 0; // inquiries per minute per user
+const GAMAL_ADMINS = (process.env.GAMAL_ADMINS || '').split(',').map((user) => user.trim()).filter((user) => user.length > 0);
 const GAMAL_TELEGRAM_TOKEN = process.env.GAMAL_TELEGRAM_TOKEN;
+const GAMAL_TELEGRAM_WEBHOOK = process.env.GAMAL_TELEGRAM_WEBHOOK;
+const GAMAL_TELEGRAM_SECRET = process.env.GAMAL_TELEGRAM_SECRET || crypto.randomBytes(24).toString('hex');
+const GAMAL_TELEGRAM_FORMAT = (process.env.GAMAL_TELEGRAM_FORMAT || 'html').toLowerCase();
+const TELEGRAM_EDIT_INTERVAL = 2 * 1000; // milliseconds, to stay within the rate limits of Telegram
+const GAMAL_MATRIX_URL = process.env.GAMAL_MATRIX_URL;
+const GAMAL_MATRIX_TOKEN = process.env.GAMAL_MATRIX_TOKEN;
 
 const WHISPER_STREAM = process.env.WHISPER_STREAM || 'whisper-cpp-stream';
 const WHISPER_MODEL = process.env.WHISPER_MODEL;
 
-const LLM_API_KEY = process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY;
-const LLM_API_BASE_URL = process.env.LLM_API_BASE_URL || 'https://openrouter.ai/api/v1';
-const LLM_CHAT_MODEL = process.env.LLM_CHAT_MODEL || 'meta-llama/llama-3.1-8b-instruct';
+const ASR_API_BASE_URL = process.env.ASR_API_BASE_URL;
+const ASR_API_KEY = process.env.ASR_API_KEY;
+const ASR_MODEL = process.env.ASR_MODEL || 'whisper-1';
+const ASR_BACKEND = process.env.ASR_BACKEND || 'whisper'; // or 'http'
+const ASR_INTERRUPT = process.env.ASR_INTERRUPT; // keep listening while speaking, to be interrupted (with headphones)
+const TTS_WAV_FILE = process.env.TTS_WAV_FILE;
+
+let LLM_API_KEY;
+let LLM_API_BASE_URL;
+let LLM_API_PROVIDER;
+let LLM_CHAT_MODEL;
+let LLM_JSON_SCHEMA;
 const LLM_STREAMING = process.env.LLM_STREAMING !== 'no';
-const LLM_JSON_SCHEMA = process.env.LLM_JSON_SCHEMA;
 
-const TTS_API_BASE_URL = process.env.TTS_API_BASE_URL;
-const TTS_API_KEY = process.env.TTS_API_KEY;
+const GAMAL_STORAGE = process.env.GAMAL_STORAGE;
+const GAMAL_STORAGE_MAX_TURNS = parseInt(process.env.GAMAL_STORAGE_MAX_TURNS, 10) || 100; // per conversation
+const GAMAL_STORAGE_MAX_DAYS = parseInt(process.env.GAMAL_STORAGE_MAX_DAYS, 10) || 30;
+
+let TTS_API_BASE_URL;
+let TTS_API_KEY;
+
+let SEARCH_PROVIDER;
+let SEARCH_API_URL;
+let SEARCH_API_KEY;
+let SEARCH_LOCAL_PATH;
+let SEARXNG_URL;
+
+/**
+ * (Re)reads the settings which can be switched with a profile from the environment variables.
+ */
+const settle = () => {
+    LLM_API_KEY = process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY;
+    LLM_API_BASE_URL = process.env.LLM_API_BASE_URL || 'https://openrouter.ai/api/v1';
+    LLM_API_PROVIDER = process.env.LLM_API_PROVIDER;
+    LLM_CHAT_MODEL = process.env.LLM_CHAT_MODEL || 'meta-llama/llama-3.1-8b-instruct';
+    LLM_JSON_SCHEMA = process.env.LLM_JSON_SCHEMA;
+    TTS_API_BASE_URL = process.env.TTS_API_BASE_URL;
+    TTS_API_KEY = process.env.TTS_API_KEY;
+    SEARCH_PROVIDER = (process.env.SEARCH_PROVIDER || 'searxng').toLowerCase();
+    SEARCH_API_URL = process.env.SEARCH_API_URL;
+    SEARCH_API_KEY = process.env.SEARCH_API_KEY;
+    SEARCH_LOCAL_PATH = process.env.SEARCH_LOCAL_PATH;
+    SEARXNG_URL = process.env.SEARXNG_URL || 'https://searx.foss.family'; // alternatively: 'https://search.mdosch.de'
+};
+
+settle();
+
+const GAMAL_CACHE = process.env.GAMAL_CACHE !== 'no';
+const GAMAL_CACHE_CHAT = process.env.GAMAL_CACHE_CHAT;
+const GAMAL_CACHE_PATH = process.env.GAMAL_CACHE_PATH;
+const GAMAL_CACHE_TTL = parseInt(process.env.GAMAL_CACHE_TTL, 10) || 60 * 60; // seconds
+const GAMAL_CACHE_SIZE = parseInt(process.env.GAMAL_CACHE_SIZE, 10) || 200; // entries
+
+const TOP_K = parseInt(process.env.SEARCH_TOP_K, 10) || 3;
+const SEARCH_MAX_HOPS = parseInt(process.env.SEARCH_MAX_HOPS, 10) || 1;
 
+const FETCH_PAGES = process.env.FETCH_PAGES;
+const FETCH_TIMEOUT = parseInt(process.env.FETCH_TIMEOUT, 10) || 5; // seconds
+const FETCH_MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES, 10) || 1024 * 1024;
+const FETCH_CHUNK_SIZE = 600; // characters
+const FETCH_CHUNK_COUNT = 2;
 
+const VERIFY_CITATIONS = process.env.VERIFY_CITATIONS;
 
-const SEARXNG_URL = process.env.SEARXNG_URL || 'https://searx.foss.family'; // alternatively: 'https://search.mdosch.de'
-const TOP_K = 3;
+const GAMAL_TRACE = process.env.GAMAL_TRACE;
+const GAMAL_TRACE_OTLP = process.env.GAMAL_TRACE_OTLP;
 
 const VOICE_DEBUG = process.env.VOICE_DEBUG;
 const LLM_DEBUG_CHAT = process.env.LLM_DEBUG_CHAT;
 const LLM_DEBUG_PIPELINE = process.env.LLM_DEBUG_PIPELINE;
 const LLM_DEBUG_SEARCH = process.env.LLM_DEBUG_SEARCH;
+const LLM_DEBUG_FETCH = process.env.LLM_DEBUG_FETCH;
 const LLM_DEBUG_FAIL_EXIT = process.env.LLM_DEBUG_FAIL_EXIT;
 
 const NORMAL = '\x1b[0m';
@@ -45,15 +340,17 @@ const ARROW = '⇢';
 const CHECK = '✓';
 const CROSS = '✘';
 
+const TRANSCRIPTION_START_MARKER = /Transcription \d+ START/i;
 const TRANSCRIPTION_END_MARKER = /Transcription \d+ END/i;
 
 /**
- * Starts a new speech recognition process.
+ * Starts a new speech recognition process, with the streaming tool from whisper.cpp.
  *
  * @param {function} handler - callback function to handle the transcribed text
+ * @param {function=} wake - callback function once speech is detected
  * @return {childProcess} the spawned process
  */
-const listen = (handler) => {
+const whisper = (handler, wake) => {
     if (!WHISPER_MODEL) {
         VOICE_DEBUG && console.error('No whisper model is specified!');
         return;
@@ -69,6 +366,7 @@ const listen = (handler) => {
         process.stdout.on('data', (data) => {
             VOICE_DEBUG && console.log(`whisper-cpp-stream: ${data.length} bytes`);
             buffer += data.toString();
+            buffer.match(TRANSCRIPTION_START_MARKER) && wake && wake();
             if (buffer.match(TRANSCRIPTION_END_MARKER)) {
                 const transcript = buffer
                     .split('\n')
@@ -98,17 +396,131 @@ const listen = (handler) => {
 };
 
 /**
- * Speaks the given text in the specified language using a text-to-speech model.
+ * Records an utterance from the microphone with SoX (`rec`), until 1.5 seconds of silence,
+ * and transcribes it with the speech recognition service (see `transcribe`).
+ * This repeats until an utterance contains any words, or until the recording is stopped.
  *
- * @param {string} text - the text to be spoken
- * @param {string} language - the language of the text
- * @return {object} an object containing the speaker and piper processes
+ * @param {function} handler - callback function to handle the transcribed text
+ * @param {function=} wake - callback function once speech is detected
+ * @return {object} an object to stop the recording with kill(), like a child process
+ */
+const record = (handler, wake) => {
+    if (!ASR_API_BASE_URL) {
+        VOICE_DEBUG && console.error('No speech recognition service is specified!');
+        return;
+    }
+
+    let recorder = null;
+    let stopped = false;
+
+    const next = () => {
+        VOICE_DEBUG && console.log('Recording from the microphone...');
+        const args = '-q -c 1 -r 16000 -b 16 -e signed -t wav - silence 1 0.1 1% 1 1.5 1%'; // 16KHz mono WAV, stdout
+        const options = { stdio: ['ignore', 'pipe', 'ignore'] };
+        recorder = spawn('rec', args.split(' '), options);
+
+        const chunks = [];
+        let size = 0;
+        recorder.stdout.on('data', (chunk) => {
+            chunks.push(chunk);
+            size += chunk.length;
+            // beyond the WAV header, as the leading silence is skipped
+            (size > 44) && (size - chunk.length <= 44) && wake && wake();
+        });
+        recorder.on('error', (err) => {
+            VOICE_DEBUG && console.error('rec failed to run:', err);
+            stopped = true;
+        });
+        recorder.on('exit', async (code) => {
+            VOICE_DEBUG && console.log('rec finished with', code);
+            if (stopped) {
+                return;
+            }
+            try {
+                const audio = new Blob(chunks, { type: 'audio/wav' });
+                const transcript = (await transcribe(audio, 'speech.wav'))
+                    .replace(/\[.*?\]/g, '')
+                    .replace(/\(.*?\)/g, '')
+                    .trim();
+                if (transcript.length > 0 && !stopped) {
+                    handler && handler(transcript);
+                    return;
+                }
+            } catch (e) {
+                VOICE_DEBUG && console.error('ASR failed:', e);
+            }
+            stopped || next();
+        });
+    };
+
+    next();
+
+    const kill = () => {
+        stopped = true;
+        recorder && recorder.kill();
+    };
+    return { kill };
+};
+
+/**
+ * Starts listening for a spoken inquiry, with the speech recognition backend chosen by ASR_BACKEND:
+ * either `whisper` (the streaming tool from whisper.cpp) or `http` (an OpenAI-compatible service).
+ *
+ * @param {function} handler - callback function to handle the transcribed text
+ * @param {function=} wake - callback function once speech is detected
+ * @return {object} the process, which can be stopped with kill()
  */
-const speak = async (text, language = 'en') => {
-    if (!TTS_API_BASE_URL) {
+const listen = (handler, wake) => {
+    if (ASR_BACKEND === 'http') {
+        return record(handler, wake);
+    }
+    if (ASR_BACKEND !== 'whisper') {
+        VOICE_DEBUG && console.error(`Unknown ASR backend ${ASR_BACKEND}!`);
         return;
     }
+    return whisper(handler, wake);
+};
+
+/**
+ * Transcribes recorded audio using an OpenAI-compatible speech recognition service.
+ *
+ * @param {Blob} audio - the recorded audio
+ * @param {string} filename - the name of the file, its extension hints at the audio format
+ * @return {Promise<string>} the transcribed text
+ */
+const transcribe = async (audio, filename) => {
+    const form = new FormData();
+    form.append('file', audio, filename);
+    form.append('model', ASR_MODEL);
+    const auth = (ASR_API_KEY) ? { 'Authorization': `Bearer ${ASR_API_KEY}` } : {};
+    const url = `${ASR_API_BASE_URL}/audio/transcriptions`;
+
+    VOICE_DEBUG && console.log(`Transcribing audio: ${audio.size} bytes...`);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: auth,
+        body: form,
+        signal: AbortSignal.timeout(60 * 1000) // 1 minute
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
+    }
+    const { text = '' } = await response.json();
+    VOICE_DEBUG && console.log('Transcript:', text);
+    return text.trim();
+};
 
+/**
+ * Synthesizes speech for the given text in the specified language using a text-to-speech model.
+ * The citations in the text are not spoken.
+ *
+ * @param {string} text - the text to be spoken
+ * @param {string} language - the language of the text
+ * @param {string} format - the audio format, e.g. pcm or opus
+ * @param {AbortSignal=} signal - the signal to abort the request
+ * @return {Promise<Response|undefined>} the response with the audio, unless no voice is available
+ */
+const synthesize = async (text, language, format, signal) => {
     const lang = language.toUpperCase();
     const ref = `TTS_VOICE_${lang}`;
     let voice = process.env[ref];
@@ -125,74 +537,82 @@ const speak = async (text, language = 'en') => {
         return;
     }
 
-    const playable = await new Promise((resolve) => {
-        const process = spawn('play', ['--version'], { stdio: 'ignore' });
-        process.on('error', (err) => {
-            if (err.code === 'ENOENT') {
-                resolve(false);
-            } else {
-                resolve(true);
-            }
-        });
-        process.on('exit', () => {
-            resolve(true);
-        });
-    });
-
-    if (!playable) {
-        VOICE_DEBUG && console.error('Skipping audio playback. SoX is not available.');
-        return;
-    }
-
-
-    let input = text;
-    while (true) {
-        const index = input.indexOf('[citation:');
-        if (index < 0) {
-            break;
-        }
-        const number = input[index + 10];
-        if (number >= '0' && number <= '9') {
-            input = input.slice(0, index) + input.slice(index + 12);
-        }
-    }
+    const input = text.replace(/[\[\(]citation[:\s]\d+[\]\)]/gi, '');
 
     const model = process.env.TTS_MODEL;
-    const format = 'pcm';
     const response_format = format;
     const speed = 1.0;
     const body = { input, model, voice, format, response_format, speed };
     const auth = (TTS_API_KEY) ? { 'Authorization': `Bearer ${TTS_API_KEY}` } : {};
     const url = `${TTS_API_BASE_URL}/audio/speech`;
 
+    VOICE_DEBUG && console.log(`Generating audio from text: ${input.length} characters...`)
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...auth },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
+    }
+    return response;
+};
 
-    try {
-        const timestamp = Date.now();
-        let elapsed = 0;
-
-        VOICE_DEBUG && console.log(`Generating audio from text: ${input.length} characters...`)
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', ...auth },
-            body: JSON.stringify(body),
-        });
-        if (!response.ok) {
-            throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
+/**
+ * Checks whether the `play` utility from SoX is available.
+ *
+ * @return {Promise<boolean>} true if it can be run
+ */
+const playable = () => new Promise((resolve) => {
+    const process = spawn('play', ['--version'], { stdio: 'ignore' });
+    process.on('error', (err) => {
+        if (err.code === 'ENOENT') {
+            resolve(false);
+        } else {
+            resolve(true);
         }
-        const audio = Readable.fromWeb(response.body);
+    });
+    process.on('exit', () => {
+        resolve(true);
+    });
+});
+
+/**
+ * Creates the header of a WAV file for the given size of the audio (raw 24KHz PCM, single 16-bit).
+ *
+ * @param {number} size - the size of the audio, in bytes
+ * @return {Buffer} the header
+ */
+const wav = (size) => {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + size, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16); // size of the format chunk
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // single channel
+    header.writeUInt32LE(24000, 24); // sample rate
+    header.writeUInt32LE(24000 * 2, 28); // byte rate
+    header.writeUInt16LE(2, 32); // block align
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(size, 40);
+    return header;
+};
+
+/**
+ * Opens the audio output for raw 24KHz PCM (single 16-bit): the `play` utility from SoX,
+ * or if it is not available, the WAV file specified in TTS_WAV_FILE.
+ *
+ * @return {Promise<object|null>} the output, with write(chunk), end(), and kill(), or null if there is none
+ */
+const output = async () => {
+    if (await playable()) {
         const args = '-q -V0 -t raw -b 16 -e signed -c 1 -r 24000 -'; // quiet, raw 24KHz PCM, single 16-bit, stdin
         const options = { stdio: ['pipe', 'pipe', 'inherit'] };
         const speaker = spawn('play', args.split(' '), options);
-
-        audio.pipe(speaker.stdin);
-        audio.on('data', () => {
-            if (elapsed <= 0) {
-                elapsed = Date.now() - timestamp;
-                VOICE_DEBUG && console.log(`First audio chunk received in ${elapsed} ms.`);
-            }
-        });
-
-        await new Promise((resolve) => {
+        const finished = new Promise((resolve) => {
             speaker.on('error', (err) => {
                 console.error('play failed to run:', err);
                 resolve();
@@ -202,11 +622,125 @@ const speak = async (text, language = 'en') => {
                 resolve();
             });
         });
-        return { speaker, audio };
-    } catch (e) {
-        console.error('Error synthesizing speech', e);
-        throw e;
+        speaker.stdin.on('error', () => { }); // once play is gone
+        const write = (chunk) => new Promise((resolve) => {
+            speaker.stdin.write(chunk) ? resolve() : speaker.stdin.once('drain', resolve);
+            finished.then(resolve);
+        });
+        const end = () => {
+            speaker.stdin.end();
+            return finished;
+        };
+        const kill = () => speaker.kill();
+        return { write, end, kill };
+    }
+
+    if (TTS_WAV_FILE) {
+        const fd = fs.openSync(TTS_WAV_FILE, 'w');
+        fs.writeSync(fd, wav(0));
+        let size = 0;
+        let closed = false;
+        const write = async (chunk) => {
+            if (!closed) {
+                fs.writeSync(fd, chunk);
+                size += chunk.length;
+            }
+        };
+        const end = async () => {
+            if (!closed) {
+                closed = true;
+                fs.writeSync(fd, wav(size), 0, 44, 0);
+                fs.closeSync(fd);
+                VOICE_DEBUG && console.log(`Audio written to ${TTS_WAV_FILE}: ${size} bytes.`);
+            }
+        };
+        return { write, end, kill: end };
     }
+
+    VOICE_DEBUG && console.error('Skipping audio playback. SoX is not available.');
+    return null;
+};
+
+/**
+ * Speaks a text in the specified language using a text-to-speech model, while the text is still streaming in.
+ * Every sentence is synthesized as soon as it is complete, and the audio clips are played in order,
+ * one after another into the same audio output (hence without any gaps).
+ *
+ * @param {string} language - the language of the text
+ * @return {object} the narrator: feed(text) to add the next part of the text, finish() to speak the rest
+ * (resolved once everything is spoken), and stop() to interrupt the speech
+ */
+const narrate = (language = 'en') => {
+    let buffer = '';
+    let stopped = false;
+    let halt = null;
+    const halted = new Promise((resolve) => (halt = resolve));
+    const controller = new AbortController();
+    const ready = (TTS_API_BASE_URL ? output() : Promise.resolve(null)).catch((e) => {
+        console.error('Unable to open the audio output', e);
+        return null;
+    });
+    let queue = Promise.resolve();
+
+    const say = (sentence) => {
+        const text = sentence.replace(/[\[\(]citation[:\s]\d+[\]\)]/gi, '').trim();
+        if (!/[\p{L}\p{N}]/u.test(text)) {
+            return;
+        }
+        const clip = ready.then((out) => (out && !stopped) ? synthesize(text, language, 'pcm', controller.signal) : null);
+        clip.catch(() => { }); // reported once it is its turn
+        queue = queue
+            .then(async () => {
+                const timestamp = Date.now();
+                const response = await clip;
+                const out = await ready;
+                if (!response || stopped) {
+                    return;
+                }
+                VOICE_DEBUG && console.log(`Audio is ready after ${Date.now() - timestamp} ms.`);
+                for await (const chunk of Readable.fromWeb(response.body)) {
+                    if (stopped) {
+                        break;
+                    }
+                    await out.write(chunk);
+                }
+            })
+            .catch((e) => {
+                stopped || console.error('Error synthesizing speech', e);
+            });
+    };
+
+    const feed = (text) => {
+        if (stopped) {
+            return;
+        }
+        buffer += text;
+        const parts = sentences(buffer).map(({ text }) => text);
+        if (parts.length > 1) {
+            parts.slice(0, -1).forEach(say);
+            buffer = parts[parts.length - 1];
+        }
+    };
+
+    const finish = async () => {
+        stopped || say(buffer);
+        buffer = '';
+        const done = queue.then(() => ready).then((out) => out && out.end()).catch((e) => {
+            console.error('Error playing speech', e);
+        });
+        await Promise.race([done, halted]);
+    };
+
+    const stop = () => {
+        if (!stopped) {
+            stopped = true;
+            controller.abort();
+            halt();
+            ready.then((out) => out && out.kill()).catch(() => { });
+        }
+    };
+
+    return { feed, finish, stop };
 };
 
 /**
@@ -230,571 +764,2127 @@ const MAX_RETRY_ATTEMPT = 3;
  */
 const sleep = async (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+const memo = new Map();
+
 /**
- * Tries to parse a string as JSON, but if that fails, tries adding a
- * closing curly brace or double quote to fix the JSON.
+ * Computes a cache key for the given value (anything JSON-serializable).
  *
- * @param {string} text
- * @returns {Object}
+ * @param {any} value
+ * @returns {string} The SHA-256 hash (in hex).
  */
-const unJSON = (text) => {
-    try {
-        return JSON.parse(text);
-    } catch (e) {
-        try {
-            return JSON.parse(text + '}');
-        } catch (e) {
-            try {
-                return JSON.parse(text + '"}');
-            } catch (e) {
-                return {};
-            }
-        }
-    }
-}
+const digest = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
 
 /**
- * Breaks down the completion into a dictionary containing the thought process,
- * important keyphrases, observation, and topic.
+ * Retrieves a cached value, first from memory and then (if GAMAL_CACHE_PATH is set) from the disk.
  *
- * @param {string} hint - The hint or example given to the LLM.
- * @param {string} completion - The completion generated by the LLM.
- * @returns {Object} Breakdown of the thought process into a dictionary.
+ * @param {string} key - The cache key.
+ * @returns {any} The cached value, or undefined if it is missing or has expired.
  */
-const breakdown = (hint, completion) => {
-    const remark = completion
-        .replace('<|start_header_id|>', '')
-        .replace('<|end_header_id|>', '')
-        .replace(/^assistant/, '')
-        .trim();
-    const text = remark.startsWith(hint) ? remark : hint + remark;
-    if (text.startsWith('{')) {
-        try {
-            return unJSON(text);
-        } catch (error) {
-            LLM_DEBUG_CHAT && console.error(`Failed to parse JSON: ${text.replaceAll('\n', '')}`);
+const retrieve = (key) => {
+    if (!GAMAL_CACHE) {
+        return undefined;
+    }
+    let entry = memo.get(key);
+    if (!entry && GAMAL_CACHE_PATH) {
+        const file = path.join(GAMAL_CACHE_PATH, key + '.json');
+        if (fs.existsSync(file)) {
+            entry = unJSON(fs.readFileSync(file, 'utf-8'));
         }
     }
-    let result = deconstruct(text);
-    const { topic } = result;
-    if (!topic || topic.length === 0) {
-        result = deconstruct(text + '\n' + 'TOPIC: general knowledge.');
+    if (!entry || !entry.expiry || entry.expiry < Date.now()) {
+        memo.delete(key);
+        return undefined;
     }
-    return result;
+    memo.delete(key);
+    memo.set(key, entry);
+    return entry.value;
 };
 
-
 /**
- * Returns a formatted string based on the given object.
+ * Stores a value in the cache. The least recently used entries are evicted
+ * when there are more than GAMAL_CACHE_SIZE of them.
  *
- * @param {string} [prefix] - An optional prefix string
- * @param {Object} object - The object to format
- * @returns {string} The formatted string
+ * @param {string} key - The cache key.
+ * @param {any} value - The value to be cached.
+ * @returns {any} The same value.
  */
-const structure = (prefix, object) => {
-    if (LLM_JSON_SCHEMA) {
-        const format = prefix ? prefix + ' (JSON with this schema)' : '';
-        return format + '\n' + JSON.stringify(object, null, 2) + '\n';
+const store = (key, value) => {
+    if (!GAMAL_CACHE) {
+        return value;
     }
-
+    const expiry = Date.now() + GAMAL_CACHE_TTL * 1000;
+    memo.delete(key);
+    memo.set(key, { expiry, value });
+    while (memo.size > GAMAL_CACHE_SIZE) {
+        memo.delete(memo.keys().next().value);
+    }
+    if (GAMAL_CACHE_PATH) {
+        try {
+            fs.mkdirSync(GAMAL_CACHE_PATH, { recursive: true });
+            fs.writeFileSync(path.join(GAMAL_CACHE_PATH, key + '.json'), JSON.stringify({ expiry, value }));
+            const files = fs.readdirSync(GAMAL_CACHE_PATH)
+                .filter((name) => name.endsWith('.json'))
+                .map((name) => path.join(GAMAL_CACHE_PATH, name));
+            if (files.length > GAMAL_CACHE_SIZE) {
+                files
+                    .map((file) => ({ file, time: fs.statSync(file).mtimeMs }))
+                    .sort((p, q) => p.time - q.time)
+                    .slice(0, files.length - GAMAL_CACHE_SIZE)
+                    .forEach(({ file }) => fs.unlinkSync(file));
+            }
+        } catch (e) {
+            console.error(`Unable to write the cache: ${e.toString()}`);
+        }
+    }
+    return value;
+};
+
+/**
+ * Represents a traced operation, e.g. a pipeline stage, an LLM completion, or a search.
+ *
+ * @typedef {Object} Span
+ * @property {string} traceId - Shared by all the spans of the same pipeline run.
+ * @property {string} spanId
+ * @property {string=} parentId - The span which contains this one.
+ * @property {string} name
+ * @property {number} start - Timestamp (in ms).
+ * @property {number} end - Timestamp (in ms).
+ * @property {Object} attributes - Inputs, outputs, and other details.
+ * @property {Array<{name: string, timestamp: number, attributes: Object}>} events
+ * @property {string=} error
+ */
+
+const tracer = new AsyncLocalStorage();
+const tracing = Boolean(GAMAL_TRACE || GAMAL_TRACE_OTLP);
+const pending = {};
+
+/**
+ * Converts a span to the OTLP/JSON representation.
+ *
+ * @param {Span} span
+ * @returns {Object}
+ */
+const otlp = (span) => {
+    const { traceId, spanId, parentId, name, start, end, attributes, events, error } = span;
+    const nano = (timestamp) => String(timestamp * 1e6);
+    const convert = (values) => Object.keys(values).filter((key) => values[key] !== undefined).map((key) => {
+        const value = values[key];
+        return {
+            key,
+            value: (typeof value === 'boolean') ? { boolValue: value }
+                : Number.isInteger(value) ? { intValue: String(value) }
+                    : (typeof value === 'number') ? { doubleValue: value }
+                        : { stringValue: (typeof value === 'string') ? value : JSON.stringify(value) }
+        };
+    });
+    return {
+        traceId, spanId, parentSpanId: parentId, name, kind: 1,
+        startTimeUnixNano: nano(start), endTimeUnixNano: nano(end),
+        attributes: convert(attributes),
+        events: events.map(({ name, timestamp, attributes }) => ({ name, timeUnixNano: nano(timestamp), attributes: convert(attributes) })),
+        status: error ? { code: 2, message: error } : { code: 1 }
+    };
+};
+
+/**
+ * Exports a finished span: appends it to the GAMAL_TRACE file right away, and sends the
+ * whole trace to the OTLP collector at GAMAL_TRACE_OTLP once its outermost span finishes.
+ *
+ * @param {Span} span
+ */
+const publish = (span) => {
+    if (GAMAL_TRACE) {
+        try {
+            fs.mkdirSync(path.dirname(GAMAL_TRACE), { recursive: true });
+            fs.appendFileSync(GAMAL_TRACE, JSON.stringify(span) + '\n');
+        } catch (e) {
+            console.error(`Unable to write the trace: ${e.toString()}`);
+        }
+    }
+    if (GAMAL_TRACE_OTLP) {
+        const { traceId, parentId } = span;
+        const spans = (pending[traceId] || []).concat(span);
+        delete pending[traceId];
+        if (parentId) {
+            pending[traceId] = spans;
+            return;
+        }
+        const resource = { attributes: [{ key: 'service.name', value: { stringValue: 'gamal' } }] };
+        const scopeSpans = [{ scope: { name: 'gamal', version: GAMAL_VERSION }, spans: spans.map(otlp) }];
+        fetch(GAMAL_TRACE_OTLP, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ resourceSpans: [{ resource, scopeSpans }] }),
+            signal: AbortSignal.timeout(5 * 1000)
+        }).then((response) => {
+            !response.ok && console.error(`Unable to export the trace: ${response.status} ${response.statusText}`);
+        }).catch((e) => console.error(`Unable to export the trace: ${e.toString()}`));
+    }
+};
+
+/**
+ * Runs the given function within a new span, a child of the currently active span (if any).
+ * The function receives the span, to add more attributes and events.
+ * Any thrown error is recorded in the span (and thrown again).
+ * Without GAMAL_TRACE and GAMAL_TRACE_OTLP, nothing is recorded.
+ *
+ * @param {string} name - The name of the span.
+ * @param {Object} attributes - The initial attributes of the span.
+ * @param {function(Span): Promise<any>} fn - The function to run.
+ * @returns {Promise<any>} The result of the function.
+ */
+const trace = async (name, attributes, fn) => {
+    if (!tracing) {
+        return await fn({ attributes: {}, events: [] });
+    }
+    const parent = tracer.getStore();
+    const traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    const spanId = crypto.randomBytes(8).toString('hex');
+    const span = { traceId, spanId, parentId: parent?.spanId, name, start: Date.now(), attributes: { ...attributes }, events: [] };
+    try {
+        return await tracer.run(span, () => fn(span));
+    } catch (e) {
+        span.error = e.toString();
+        throw e;
+    } finally {
+        span.end = Date.now();
+        publish(span);
+    }
+};
+
+/**
+ * All the metrics, exposed by the HTTP server in the Prometheus text format (see `exposition`).
+ */
+const METRICS = {
+    gamal_http_requests_total: { type: 'counter', help: 'HTTP requests, by route and status code' },
+    gamal_inquiries_total: { type: 'counter', help: 'Answered inquiries, by outcome' },
+    gamal_stage_duration_seconds: { type: 'histogram', help: 'Duration of the pipeline stages' },
+    gamal_llm_retries_total: { type: 'counter', help: 'Retried LLM completions' },
+    gamal_llm_errors_total: { type: 'counter', help: 'Failed LLM completions (after all retries)' },
+    gamal_llm_tokens_total: { type: 'counter', help: 'Tokens consumed by the LLM, by model and type' },
+    gamal_search_retries_total: { type: 'counter', help: 'Retried searches, by engine' },
+    gamal_search_errors_total: { type: 'counter', help: 'Failed searches (after all retries), by engine' },
+    gamal_rate_limited_total: { type: 'counter', help: 'Inquiries rejected due to the rate limit' },
+    gamal_active_sessions: { type: 'gauge', help: 'Active HTTP sessions' },
+    gamal_queued_inquiries: { type: 'gauge', help: 'Inquiries waiting in the queue' }
+};
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+
+const samples = {};
+
+/**
+ * Formats the labels of a sample, e.g. {stage="Reason"}.
+ *
+ * @param {Object.<string, string>} labels
+ * @returns {string}
+ */
+const labelize = (labels) => {
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const pairs = Object.keys(labels).map((key) => `${key}="${escape(labels[key])}"`);
+    return (pairs.length > 0) ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Increases a counter.
+ *
+ * @param {string} name - The name of the metric.
+ * @param {Object.<string, string>} labels - The labels of the sample.
+ * @param {number} value - The increment.
+ */
+const count = (name, labels = {}, value = 1) => {
+    const key = name + labelize(labels);
+    samples[key] = (samples[key] || 0) + value;
+};
+
+/**
+ * Records an observation in a histogram.
+ *
+ * @param {string} name - The name of the metric.
+ * @param {Object.<string, string>} labels - The labels of the sample.
+ * @param {number} value - The observed value.
+ */
+const observe = (name, labels, value) => {
+    LATENCY_BUCKETS.forEach((bound) => count(`${name}_bucket`, { ...labels, le: bound }, (value <= bound) ? 1 : 0));
+    count(`${name}_bucket`, { ...labels, le: '+Inf' });
+    count(`${name}_sum`, labels, value);
+    count(`${name}_count`, labels);
+};
+
+/**
+ * Records the outcome of an inquiry and the duration of its pipeline stages.
+ *
+ * @param {Array<Stage>} stages - The (possibly incomplete) stages of the pipeline.
+ * @param {boolean} failed - Whether the pipeline failed.
+ */
+const measure = (stages, failed = false) => {
+    count('gamal_inquiries_total', { outcome: failed ? 'error' : 'success' });
+    simplify(stages).forEach(({ name, duration }) => {
+        observe('gamal_stage_duration_seconds', { stage: name }, duration / 1000);
+    });
+};
+
+/**
+ * Lists all the metrics in the Prometheus text exposition format.
+ *
+ * @param {Object.<string, number>} gauges - The current values of the gauges.
+ * @returns {string}
+ */
+const exposition = (gauges) => {
+    const lines = [];
+    Object.keys(METRICS).forEach((name) => {
+        const { type, help } = METRICS[name];
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        if (type === 'gauge') {
+            lines.push(`${name} ${gauges[name] || 0}`);
+        } else {
+            const pattern = new RegExp(`^${name}(_bucket|_sum|_count)?({|$)`);
+            const keys = Object.keys(samples).filter((key) => pattern.test(key));
+            keys.forEach((key) => lines.push(`${key} ${samples[key]}`));
+            (type === 'counter' && keys.length === 0) && lines.push(`${name} 0`);
+        }
+    });
+    return lines.join('\n') + '\n';
+};
+
+const waiting = [];
+let running = 0;
+
+/**
+ * Runs a task once there is a free slot, so that at most GAMAL_CONCURRENCY tasks run at the same time.
+ * The waiting tasks are started in order, and each is told its position (1 = next) through the optional
+ * `wait` callback whenever it changes.
+ *
+ * @param {function(): Promise<any>} task - The task to run.
+ * @param {function(number)=} wait - An optional callback to receive the position in the queue.
+ * @returns {Promise<any>} The result of the task.
+ */
+const schedule = async (task, wait = null) => {
+    if (running < GAMAL_CONCURRENCY && waiting.length === 0) {
+        ++running;
+    } else {
+        // the slot is handed over by the finishing task
+        await new Promise((resolve) => {
+            waiting.push({ resolve, wait });
+            wait && wait(waiting.length);
+        });
+    }
+    try {
+        return await task();
+    } finally {
+        const next = waiting.shift();
+        if (next) {
+            next.resolve();
+            waiting.forEach(({ wait }, index) => wait && wait(index + 1));
+        } else {
+            --running;
+        }
+    }
+};
+
+const recent = {};
+
+/**
+ * Checks whether a user can ask another question, with at most GAMAL_RATE_LIMIT inquiries per minute
+ * (no limit if it is not set). An allowed inquiry is counted right away.
+ * The users without any inquiry in the last minute are forgotten.
+ *
+ * @param {string} user - The user (or conversation) identifier.
+ * @returns {number} How many seconds the user has to wait, or 0 if the inquiry is allowed.
+ */
+const throttle = (user) => {
+    if (GAMAL_RATE_LIMIT <= 0) {
+        return 0;
+    }
+    const now = Date.now();
+    Object.keys(recent).forEach((key) => {
+        recent[key] = recent[key].filter((timestamp) => timestamp > now - 60 * 1000);
+        (recent[key].length === 0) && delete recent[key];
+    });
+    const timestamps = recent[user] || [];
+    recent[user] = timestamps;
+    if (timestamps.length >= GAMAL_RATE_LIMIT) {
+        count('gamal_rate_limited_total');
+        return Math.ceil((timestamps[0] + 60 * 1000 - now) / 1000);
+    }
+    timestamps.push(now);
+    return 0;
+};
+
+/**
+ * Converts the value of a Retry-After header (either in seconds or as a date) to milliseconds.
+ *
+ * @param {string} header - The value of the header.
+ * @returns {number} The delay (at most one minute), or null if the header is missing or invalid.
+ */
+const patience = (header) => {
+    if (!header) {
+        return null;
+    }
+    const seconds = Number(header);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), 60 * 1000);
+};
+
+/**
+ * Tries to parse a string as JSON, but if that fails, tries adding a
+ * closing curly brace or double quote to fix the JSON.
+ *
+ * @param {string} text
+ * @returns {Object}
+ */
+const unJSON = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        try {
+            return JSON.parse(text + '}');
+        } catch (e) {
+            try {
+                return JSON.parse(text + '"}');
+            } catch (e) {
+                return {};
+            }
+        }
+    }
+}
+
+/**
+ * Breaks down the completion into a dictionary containing the thought process,
+ * important keyphrases, observation, and topic.
+ *
+ * @param {string} hint - The hint or example given to the LLM.
+ * @param {string} completion - The completion generated by the LLM.
+ * @returns {Object} Breakdown of the thought process into a dictionary.
+ */
+const breakdown = (hint, completion) => {
+    const remark = completion
+        .replace('<|start_header_id|>', '')
+        .replace('<|end_header_id|>', '')
+        .replace(/^assistant/, '')
+        .trim();
+    const text = remark.startsWith(hint) ? remark : hint + remark;
+    if (text.startsWith('{')) {
+        try {
+            return unJSON(text);
+        } catch (error) {
+            LLM_DEBUG_CHAT && console.error(`Failed to parse JSON: ${text.replaceAll('\n', '')}`);
+        }
+    }
+    let result = deconstruct(text);
+    const { topic } = result;
+    if (!topic || topic.length === 0) {
+        result = deconstruct(text + '\n' + 'TOPIC: general knowledge.');
+    }
+    return result;
+};
+
+
+/**
+ * Returns a formatted string based on the given object.
+ *
+ * @param {string} [prefix] - An optional prefix string
+ * @param {Object} object - The object to format
+ * @returns {string} The formatted string
+ */
+const structure = (prefix, object) => {
+    if (LLM_JSON_SCHEMA) {
+        const format = prefix ? prefix + ' (JSON with this schema)' : '';
+        return format + '\n' + JSON.stringify(object, null, 2) + '\n';
+    }
+
     return (prefix || '') + '\n\n' + construct(object) + '\n';
 };
 
 /**
- * Represents a chat message.
+ * Represents a chat message.
+ *
+ * @typedef {Object} Message
+ * @property {'system'|'user'|'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * A callback function to stream then completion.
+ *
+ * @callback CompletionHandler
+ * @param {string} text
+ * @returns {void}
+ */
+
+/**
+ * Represents the number of tokens consumed by a completion.
+ *
+ * @typedef {Object} Usage
+ * @property {number} prompt_tokens
+ * @property {number} completion_tokens
+ * @property {string=} model
+ * @property {number=} cost - The estimated cost in USD, if the price of the model is known.
+ */
+
+/**
+ * Represents the parsed content of a line in a streamed completion.
+ *
+ * @typedef {Object} Partial
+ * @property {string} text - The next piece of the completion (can be empty).
+ * @property {Usage=} usage - The token usage, if the line carries it.
+ */
+
+/**
+ * Represents an adapter to the API of a specific LLM service provider.
+ *
+ * @typedef {Object} Adapter
+ * @property {function(Array<Message>, Object): {url: string, headers: Object, body: Object}} request
+ *   Prepares the HTTP request, given the messages and the options (model, schema, stream, etc).
+ *   The option `metered` tells whether to ask for the token usage of a streamed completion.
+ * @property {function(Object): string} extract - Extracts the completion from a (non-streamed) response.
+ * @property {function(Object): Usage} usage - Extracts the token usage from a (non-streamed) response.
+ * @property {function(string): Partial} parse - Parses a line of a streamed response,
+ *   returning null if the line is still incomplete.
+ */
+
+/**
+ * Returns the payload of a server-sent event line, or null if it is not a data line.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+const payload = (line) => line.startsWith('data:') ? line.substring(5).trim() : null;
+
+/**
+ * Parses a JSON payload of a streamed response, and passes it to the given function.
+ * If the JSON is incomplete, returns null (so that the line is joined with the next one).
+ *
+ * @param {string} text - The JSON payload.
+ * @param {function(Object): Partial} fn
+ * @returns {Partial}
+ */
+const partially = (text, fn) => {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    return fn(data);
+};
+
+/**
+ * All supported LLM API adapters. The adapter is chosen via LLM_API_PROVIDER, otherwise
+ * it is detected from LLM_API_BASE_URL (and falls back to the OpenAI-compatible API).
+ *
+ * @type {Object.<string, Adapter>}
+ */
+const LLM_ADAPTERS = {
+    openai: {
+        request: (messages, { model, schema, stream, stop, max_tokens, temperature, metered }) => {
+            const response_format = schema ? {
+                type: 'json_schema',
+                json_schema: {
+                    schema,
+                    name: 'response',
+                    strict: true
+                }
+            } : undefined;
+            const url = `${LLM_API_BASE_URL}/chat/completions`;
+            const headers = (LLM_API_KEY) ? { 'Authorization': `Bearer ${LLM_API_KEY}` } : {};
+            const stream_options = (stream && metered) ? { include_usage: true } : undefined;
+            const body = { messages, response_format, model, stop, max_tokens, temperature, stream, stream_options };
+            return { url, headers, body };
+        },
+        extract: (data) => {
+            const [first] = data.choices || [];
+            return first?.message?.content || '';
+        },
+        usage: (data) => {
+            const { prompt_tokens, completion_tokens } = data.usage || {};
+            return data.usage ? { prompt_tokens, completion_tokens } : null;
+        },
+        parse: (line) => {
+            const text = payload(line);
+            if (text === null) {
+                return { text: '' };
+            }
+            return partially(text, (data) => {
+                const [choice] = data.choices || [];
+                return { text: choice?.delta?.content || '', usage: LLM_ADAPTERS.openai.usage(data) };
+            });
+        }
+    },
+
+    gemini: {
+        request: (messages, { model, schema, stream, max_tokens, temperature }) => {
+            const generate = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+            const url = `${LLM_API_BASE_URL}/models/${model}:${generate}key=${LLM_API_KEY}`;
+            const geminify = schema => ({ ...schema, additionalProperties: undefined });
+            const response_schema = schema ? geminify(schema) : undefined;
+            const response_mime_type = response_schema ? 'application/json' : 'text/plain';
+            const ROLES = { user: 'user', assistant: 'model' };
+            const contents = messages
+                .filter(({ role }) => ROLES[role])
+                .map(({ role, content }) => ({ role: ROLES[role], parts: [{ text: content }] }));
+            const system = messages.filter(({ role }) => role === 'system').map(({ content }) => ({ text: content }));
+            const system_instruction = (system.length > 0) ? { parts: system } : undefined;
+            const generationConfig = { temperature, response_mime_type, response_schema, maxOutputTokens: max_tokens };
+            const body = { system_instruction, contents, generationConfig };
+            return { url, headers: {}, body };
+        },
+        extract: (data) => {
+            const [first] = data.candidates || [];
+            const parts = first?.content?.parts || [];
+            return parts.map((part) => part.text).join('');
+        },
+        usage: (data) => {
+            const { promptTokenCount, candidatesTokenCount } = data.usageMetadata || {};
+            return data.usageMetadata ? { prompt_tokens: promptTokenCount, completion_tokens: candidatesTokenCount } : null;
+        },
+        parse: (line) => {
+            const text = payload(line);
+            if (text === null) {
+                return { text: '' };
+            }
+            return partially(text, (data) => {
+                return { text: LLM_ADAPTERS.gemini.extract(data), usage: LLM_ADAPTERS.gemini.usage(data) };
+            });
+        }
+    },
+
+    anthropic: {
+        request: (messages, { model, stream, stop, max_tokens, temperature }) => {
+            const url = `${LLM_API_BASE_URL}/messages`;
+            const headers = { 'x-api-key': LLM_API_KEY, 'anthropic-version': '2023-06-01' };
+            const system = messages.filter(({ role }) => role === 'system').map(({ content }) => content).join('\n\n');
+            const conversation = messages
+                .filter(({ role }) => role === 'user' || role === 'assistant')
+                .map(({ role, content }) => ({ role, content }));
+            const last = conversation[conversation.length - 1];
+            if (last && last.role === 'assistant') {
+                // a prefilled assistant turn must not end with a whitespace
+                last.content = last.content.trimEnd();
+            }
+            const body = {
+                model, max_tokens, temperature, stream,
+                system: (system.length > 0) ? system : undefined,
+                messages: conversation,
+                stop_sequences: stop
+            };
+            return { url, headers, body };
+        },
+        extract: (data) => {
+            const blocks = data.content || [];
+            return blocks.filter(({ type }) => type === 'text').map((block) => block.text).join('');
+        },
+        usage: (data) => {
+            const { input_tokens, output_tokens } = data.usage || {};
+            return data.usage ? { prompt_tokens: input_tokens, completion_tokens: output_tokens } : null;
+        },
+        parse: (line) => {
+            const text = payload(line);
+            if (text === null) {
+                return { text: '' };
+            }
+            return partially(text, (data) => {
+                const { type, delta, message, usage } = data;
+                if (type === 'content_block_delta') {
+                    return { text: delta?.text || '' };
+                } else if (type === 'message_start') {
+                    return { text: '', usage: LLM_ADAPTERS.anthropic.usage(message || {}) };
+                } else if (type === 'message_delta' && usage) {
+                    return { text: '', usage: { completion_tokens: usage.output_tokens } };
+                } else if (type === 'error') {
+                    throw new Error(`Anthropic API error: ${data.error?.message}`);
+                }
+                return { text: '' };
+            });
+        }
+    },
+
+    ollama: {
+        request: (messages, { model, schema, stream, stop, max_tokens, temperature }) => {
+            const url = `${LLM_API_BASE_URL}/api/chat`;
+            const headers = (LLM_API_KEY) ? { 'Authorization': `Bearer ${LLM_API_KEY}` } : {};
+            const options = { temperature, stop, num_predict: max_tokens };
+            const body = { model, messages, stream, format: schema || undefined, options };
+            return { url, headers, body };
+        },
+        extract: (data) => data.message?.content || '',
+        usage: (data) => {
+            const { prompt_eval_count, eval_count } = data;
+            return data.done ? { prompt_tokens: prompt_eval_count, completion_tokens: eval_count } : null;
+        },
+        parse: (line) => {
+            return partially(line, (data) => {
+                return { text: LLM_ADAPTERS.ollama.extract(data), usage: LLM_ADAPTERS.ollama.usage(data) };
+            });
+        }
+    }
+};
+
+/**
+ * Determines the name of the LLM API adapter to use, i.e. the LLM service vendor.
+ *
+ * @returns {string}
+ */
+const vendor = () => {
+    if (LLM_API_PROVIDER) {
+        return LLM_API_PROVIDER.toLowerCase();
+    }
+    if (LLM_API_BASE_URL.indexOf('generativelanguage.google') > 0) {
+        return 'gemini';
+    }
+    if (LLM_API_BASE_URL.indexOf('api.anthropic.com') > 0) {
+        return 'anthropic';
+    }
+    return 'openai';
+};
+
+/**
+ * Attaches the model and, if the price table in the config file lists the model, the estimated cost
+ * (the prices are in USD per million tokens), e.g.
+ *   { "prices": { "meta-llama/llama-3.1-8b-instruct": { "prompt": 0.05, "completion": 0.08 } } }
+ *
+ * @param {string} model - The LLM model.
+ * @param {Usage} usage - The token usage.
+ * @returns {Usage} The token usage, with the model and the cost.
+ */
+const price = (model, usage) => {
+    const { prompt_tokens = 0, completion_tokens = 0 } = usage;
+    const rate = CONFIG.prices[model];
+    if (!rate) {
+        return { model, prompt_tokens, completion_tokens };
+    }
+    const { prompt = 0, completion = 0 } = rate;
+    const cost = (prompt_tokens * prompt + completion_tokens * completion) / 1e6;
+    return { model, prompt_tokens, completion_tokens, cost };
+};
+
+/**
+ * Sums up several token usages. The model is kept only if all the usages share the same one,
+ * and the total cost is only known if any of the usages is priced.
+ *
+ * @param {Array<Usage>} usages - The token usages (null entries are skipped).
+ * @returns {Usage} The total token usage, or null if there is none.
+ */
+const tally = (usages) => {
+    const known = usages.filter(Boolean);
+    if (known.length === 0) {
+        return null;
+    }
+    const sum = (key) => known.reduce((total, usage) => total + (usage[key] || 0), 0);
+    const models = known.map(({ model }) => model).filter((model, i, list) => list.indexOf(model) === i);
+    const total = { prompt_tokens: sum('prompt_tokens'), completion_tokens: sum('completion_tokens') };
+    if (models.length === 1 && models[0]) {
+        total.model = models[0];
+    }
+    if (known.some(({ cost }) => typeof cost === 'number')) {
+        total.cost = sum('cost');
+    }
+    return total;
+};
+
+/**
+ * Describes a token usage, e.g. "1200 prompt + 85 completion tokens ($0.0004)".
+ *
+ * @param {Usage} usage - The token usage.
+ * @returns {string}
+ */
+const tokens = (usage) => {
+    if (!usage) {
+        return 'none';
+    }
+    const { prompt_tokens, completion_tokens, cost } = usage;
+    const estimate = (typeof cost === 'number') ? ` ($${cost.toFixed(4)})` : '';
+    return `${prompt_tokens} prompt + ${completion_tokens} completion tokens${estimate}`;
+};
+
+/**
+ * The LLM services (by their base URL) which reject the request for the token usage of a streamed completion,
+ * as some OpenAI-compatible servers do not support `stream_options`.
+ */
+const UNMETERED = new Set();
+
+/**
+ * Generates a chat completion using a RESTful LLM API service.
+ *
+ * @param {Array<Message>} messages - List of chat messages.
+ * @param {Object} schema - An optional JSON schema for the completion.
+ * @param {CompletionHandler=} handler - An optional callback to stream the completion.
+ * @param {function(Usage)=} meter - An optional callback to receive the token usage.
+ * @returns {Promise<string>} The completion generated by the LLM.
+ */
+
+const chat = async (messages, schema, handler = null, meter = null, attempt = MAX_RETRY_ATTEMPT) => {
+    const timeout = 17; // seconds
+    const adapter = LLM_ADAPTERS[vendor()];
+    const stream = LLM_STREAMING && typeof handler === 'function';
+    const model = LLM_CHAT_MODEL || 'gpt-4o-mini';
+    const stop = ['<|im_end|>', '<|end|>', '<|eot_id|>'];
+    const max_tokens = 500;
+    const temperature = 0;
+    const metered = !UNMETERED.has(LLM_API_BASE_URL);
+
+    const { url, headers, body } = adapter.request(messages, { model, schema, stream, stop, max_tokens, temperature, metered });
+
+    const consume = (usage) => {
+        if (usage) {
+            count('gamal_llm_tokens_total', { model, type: 'prompt' }, usage.prompt_tokens || 0);
+            count('gamal_llm_tokens_total', { model, type: 'completion' }, usage.completion_tokens || 0);
+            meter && meter(price(model, usage));
+        }
+    };
+
+    LLM_DEBUG_CHAT &&
+        messages.forEach(({ role, content }) => {
+            console.log(`${MAGENTA}${role}:${NORMAL} ${content}`);
+        });
+
+    try {
+        const retry = MAX_RETRY_ATTEMPT - attempt;
+        const endpoint = url.replace(/([?&]key=)[^&]*/, '$1...');
+        return await trace('Chat', { url: endpoint, model, stream, retry, messages, schema }, async (span) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body)
+            });
+            if (response.status === 429) {
+                const error = new Error(`Rate limited by the LLM service: ${response.status} ${response.statusText}`);
+                error.name = 'RateLimitError';
+                error.delay = patience(response.headers.get('retry-after'));
+                throw error;
+            }
+            if (response.status === 400 && body.stream_options) {
+                const reason = await response.text();
+                if (reason.includes('stream_options')) {
+                    const error = new Error(`The LLM service rejects stream_options: ${response.status} ${response.statusText}`);
+                    error.name = 'UnmeteredError';
+                    throw error;
+                }
+                throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
+            }
+
+            if (!stream) {
+                const data = await response.json();
+                const answer = adapter.extract(data).trim();
+                const usage = adapter.usage(data);
+                if (LLM_DEBUG_CHAT) {
+                    if (LLM_JSON_SCHEMA) {
+                        const parsed = unJSON(answer);
+                        const empty = Object.keys(parsed).length === 0;
+                        const formatted = empty ? answer : JSON.stringify(parsed, null, 2);
+                        console.log(`${YELLOW}${formatted}${NORMAL}`);
+                    } else {
+                        console.log(`${YELLOW}${answer}${NORMAL}`);
+                    }
+                    usage && console.log(`${GRAY}Usage: ${JSON.stringify(usage)}${NORMAL}`);
+                }
+                consume(usage);
+                span.attributes.completion = answer;
+                span.attributes.usage = usage;
+                (answer.length > 0) && handler && handler(answer);
+                return answer;
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+
+            let answer = '';
+            let buffer = '';
+            let usage = null;
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                const lines = decoder.decode(value, { stream: true }).split('\n');
+                for (let i = 0; i < lines.length; ++i) {
+                    const line = buffer + lines[i];
+                    if (line[0] === ':') {
+                        buffer = '';
+                        continue;
+                    }
+                    if (line === 'data: [DONE]') {
+                        break;
+                    }
+                    if (line.length > 0) {
+                        const partial = adapter.parse(line.trim());
+                        if (partial === null) {
+                            buffer = line;
+                            continue;
+                        }
+                        buffer = '';
+                        usage = partial.usage ? { ...usage, ...partial.usage } : usage;
+                        const { text } = partial;
+                        if (text && text.length > 0) {
+                            if (answer.length < 1) {
+                                const leading = text.trim();
+                                answer = leading;
+                                handler && (leading.length > 0) && handler(leading);
+                            } else {
+                                answer += text;
+                                handler && handler(text);
+                            }
+                        }
+                    }
+                }
+            }
+            LLM_DEBUG_CHAT && usage && console.log(`${GRAY}Usage: ${JSON.stringify(usage)}${NORMAL}`);
+            consume(usage);
+            span.attributes.completion = answer;
+            span.attributes.usage = usage;
+            return answer;
+        });
+    } catch (e) {
+        if (e.name === 'TimeoutError') {
+            LLM_DEBUG_CHAT && console.log(`Timeout with LLM chat after ${timeout} seconds`);
+        }
+        if (e.name === 'UnmeteredError') {
+            LLM_DEBUG_CHAT && console.log(`${e.message}, retrying without it...`);
+            UNMETERED.add(LLM_API_BASE_URL);
+            return await chat(messages, schema, handler, meter, attempt);
+        }
+        if (attempt > 1 && (e.name === 'TimeoutError' || e.name === 'EvalError' || e.name === 'RateLimitError')) {
+            const backoff = (MAX_RETRY_ATTEMPT - attempt + 1) * ((e.name === 'RateLimitError') ? 5000 : 1500);
+            const delay = (typeof e.delay === 'number') ? e.delay : backoff;
+            LLM_DEBUG_CHAT && console.log(`Retrying in ${delay} ms...`);
+            count('gamal_llm_retries_total');
+            await sleep(delay);
+            return await chat(messages, schema, handler, meter, attempt - 1);
+        } else {
+            count('gamal_llm_errors_total');
+            throw e;
+        }
+    }
+}
+
+/**
+ * Generates a chat completion just like `chat`, but reuses the cached completion
+ * (when GAMAL_CACHE_CHAT is set) for the same messages and model.
+ *
+ * @param {Array<Message>} messages - List of chat messages.
+ * @param {Object} schema - An optional JSON schema for the completion.
+ * @param {CompletionHandler=} handler - An optional callback to stream the completion.
+ * @param {function(Usage)=} meter - An optional callback to receive the token usage (none if cached).
+ * @returns {Promise<string>} The completion generated by the LLM.
+ */
+const consult = async (messages, schema, handler = null, meter = null) => {
+    if (!GAMAL_CACHE_CHAT) {
+        return await chat(messages, schema, handler, meter);
+    }
+    const key = digest(['chat', LLM_API_BASE_URL, LLM_CHAT_MODEL, messages, schema]);
+    const cached = retrieve(key);
+    if (cached) {
+        LLM_DEBUG_CHAT && console.log(`${YELLOW}${cached}${NORMAL} ${GRAY}(cached)${NORMAL}`);
+        handler && handler(cached);
+        return cached;
+    }
+    const answer = await chat(messages, schema, handler, meter);
+    return (answer.length > 0) ? store(key, answer) : answer;
+};
+
+const PREDEFINED_KEYS = ['inquiry', 'tool', 'language', 'thought', 'keyphrases', 'observation', 'answer', 'topic'];
+
+/**
+ * Break downs a multi-line text based on a number of predefined keys.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+
+const deconstruct = (text, markers = PREDEFINED_KEYS) => {
+    const parts = {};
+    const keys = [...markers].reverse();
+    const anchor = markers.slice().pop();
+    const start = text.lastIndexOf(anchor + ':');
+    if (start >= 0) {
+        parts[anchor] = text.substring(start).replace(anchor + ':', '').trim();
+        let str = text.substring(0, start);
+        for (let i = 0; i < keys.length; ++i) {
+            const marker = keys[i];
+            const pos = str.lastIndexOf(marker + ':');
+            if (pos >= 0) {
+                const substr = str.substr(pos + marker.length + 1).trim();
+                const value = substr.split('\n').shift();
+                str = str.slice(0, pos);
+                parts[marker] = value;
+            }
+        }
+    }
+    return parts;
+};
+
+/**
+ * Constructs a multi-line text based on a number of key-value pairs.
+ *
+ * @param {Object} key-value pairs
+ * @return {text}
+ */
+const construct = (kv) => {
+    if (LLM_JSON_SCHEMA) {
+        return JSON.stringify(kv, null, 2);
+    }
+    return PREDEFINED_KEYS.filter(key => kv[key]).map(key => {
+        const value = kv[key];
+        if (value && value.length > 0) {
+            return `${key}: ${value}`;
+        }
+        return null;
+    }).join('\n');
+};
+
+/**
+ * Evaluates an arithmetic expression, e.g. "17% * 2340" or "sqrt(2) ^ 3".
+ * Supported are + - * / ^ (power), % (percent), parentheses, common functions, pi, and e.
+ *
+ * @param {string} expression
+ * @returns {string} The expression and its result.
+ * @throws {SyntaxError} - If the expression is invalid.
+ */
+const calculate = (expression) => {
+    const FUNCTIONS = {
+        sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, exp: Math.exp, ln: Math.log, log: Math.log10
+    };
+    const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+    const input = expression.trim().replace(/=\s*$/, '').trim();
+    const text = input.toLowerCase()
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .replace(/\bof\b/g, '*')
+        .replace(/(?<=[\d)\s])[x×](?=[\d(\s])/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/\*\*/g, '^');
+    const TOKEN = /\d+\.?\d*(e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/^%()]/g;
+    const tokens = text.match(TOKEN) || [];
+    if (tokens.length === 0 || text.replace(TOKEN, '').trim().length > 0) {
+        throw new SyntaxError(`Invalid expression: ${expression}`);
+    }
+
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new SyntaxError(`Expecting ${token} in ${expression}`);
+        }
+    };
+
+    const primary = () => {
+        const token = next();
+        if (token === '(') {
+            const value = sum();
+            expect(')');
+            return value;
+        }
+        if (FUNCTIONS[token]) {
+            expect('(');
+            const value = sum();
+            expect(')');
+            return FUNCTIONS[token](value);
+        }
+        if (CONSTANTS[token] !== undefined) {
+            return CONSTANTS[token];
+        }
+        const value = parseFloat(token);
+        if (Number.isNaN(value)) {
+            throw new SyntaxError(`Unexpected ${token || 'end'} in ${expression}`);
+        }
+        return value;
+    };
+    const percent = () => {
+        let value = primary();
+        while (peek() === '%') {
+            next();
+            value /= 100;
+        }
+        return value;
+    };
+    const unary = () => {
+        if (peek() === '-' || peek() === '+') {
+            return (next() === '-') ? -unary() : unary();
+        }
+        return percent();
+    };
+    const power = () => {
+        const base = unary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, power());
+        }
+        return base;
+    };
+    const product = () => {
+        let value = power();
+        while (peek() === '*' || peek() === '/') {
+            value = (next() === '*') ? value * power() : value / power();
+        }
+        return value;
+    };
+    const sum = () => {
+        let value = product();
+        while (peek() === '+' || peek() === '-') {
+            value = (next() === '+') ? value + product() : value - product();
+        }
+        return value;
+    };
+
+    const result = sum();
+    if (pos < tokens.length) {
+        throw new SyntaxError(`Unexpected ${peek()} in ${expression}`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new RangeError(`${expression} does not have a finite result`);
+    }
+    return `${input} = ${parseFloat(result.toPrecision(12))}`;
+};
+
+/**
+ * Returns the current date and time in a time zone, e.g. "Asia/Tokyo" or simply "Tokyo".
+ * Without any time zone, the local time is used.
+ *
+ * @param {string} zone - The IANA time zone or the name of its main city.
+ * @returns {string} The current date and time.
+ * @throws {RangeError} - If the time zone is unknown.
+ */
+const clock = (zone) => {
+    const name = (zone || '').split(',').shift().trim().replace(/\s+/g, '_');
+    const lower = name.toLowerCase();
+    const zones = Intl.supportedValuesOf('timeZone');
+    const timeZone = (name.length === 0) ? undefined :
+        zones.find((z) => z.toLowerCase() === lower) || zones.find((z) => z.toLowerCase().endsWith('/' + lower)) || name;
+    const format = { timeZone, dateStyle: 'full', timeStyle: 'long' };
+    const now = new Date().toLocaleString('en-US', format);
+    const label = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return `The current date and time in ${label} is ${now}.`;
+};
+
+const UNITS = {
+    length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852 },
+    mass: { kg: 1, g: 0.001, mg: 1e-6, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+    volume: {
+        l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473,
+        cup: 0.2365882365, floz: 0.0295735295625
+    },
+    area: { m2: 1, km2: 1e6, ha: 1e4, acre: 4046.8564224, ft2: 0.09290304, mi2: 2589988.110336 },
+    speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, knot: 0.514444 },
+    time: { s: 1, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600 },
+    temperature: { c: 1, f: 1, k: 1 }
+};
+
+const UNIT_ALIASES = {
+    meter: 'm', metre: 'm', kilometer: 'km', kilometre: 'km', centimeter: 'cm', centimetre: 'cm',
+    millimeter: 'mm', millimetre: 'mm', mile: 'mi', yard: 'yd', foot: 'ft', feet: 'ft', inch: 'in', inches: 'in',
+    'nautical mile': 'nmi', kilogram: 'kg', kilo: 'kg', gram: 'g', milligram: 'mg', tonne: 't', ton: 't',
+    pound: 'lb', lbs: 'lb', ounce: 'oz', stone: 'st', liter: 'l', litre: 'l', milliliter: 'ml', millilitre: 'ml',
+    gallon: 'gal', quart: 'qt', pint: 'pt', 'fl oz': 'floz', 'fluid ounce': 'floz', 'cubic meter': 'm3', 'm³': 'm3',
+    'square meter': 'm2', 'm²': 'm2', 'square kilometer': 'km2', 'km²': 'km2', hectare: 'ha', 'square foot': 'ft2',
+    'square feet': 'ft2', 'sq ft': 'ft2', 'square mile': 'mi2', kph: 'km/h', kmh: 'km/h', 'kilometers per hour': 'km/h',
+    'miles per hour': 'mph', knots: 'knot', kt: 'knot', second: 's', sec: 's', minute: 'min', hour: 'h', hr: 'h',
+    celsius: 'c', '°c': 'c', centigrade: 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+/**
+ * Converts a quantity between units, e.g. "5 km to mi" or "100 fahrenheit in celsius".
+ *
+ * @param {string} conversion
+ * @returns {string} The quantity in both units.
+ * @throws {SyntaxError} - If the conversion can not be understood.
+ */
+const convert = (conversion) => {
+    const match = conversion.trim().match(/^(-?[\d.,]+)\s*(.+?)\s+(?:to|in|into|as|=|->)\s+(.+?)\.?$/i);
+    if (!match) {
+        throw new SyntaxError(`Invalid conversion: ${conversion}`);
+    }
+    const [, number, from, to] = match;
+    const value = parseFloat(number.replace(/,/g, ''));
+    const normalize = (unit) => {
+        const name = unit.toLowerCase().replace(/^degrees?\s+/, '').trim();
+        const singular = name.replace(/s$/, '');
+        const symbol = UNIT_ALIASES[name] || UNIT_ALIASES[singular] || name;
+        const category = Object.keys(UNITS).find((key) => UNITS[key][symbol] !== undefined) ||
+            Object.keys(UNITS).find((key) => UNITS[key][singular] !== undefined);
+        if (!category) {
+            throw new SyntaxError(`Unknown unit: ${unit}`);
+        }
+        return { symbol: UNITS[category][symbol] !== undefined ? symbol : singular, category };
+    };
+    const source = normalize(from);
+    const target = normalize(to);
+    if (source.category !== target.category) {
+        throw new SyntaxError(`Can not convert ${source.category} to ${target.category}`);
+    }
+    let result;
+    if (source.category === 'temperature') {
+        const KELVIN = { c: (v) => v + 273.15, f: (v) => (v - 32) * 5 / 9 + 273.15, k: (v) => v };
+        const FROM_KELVIN = { c: (v) => v - 273.15, f: (v) => (v - 273.15) * 9 / 5 + 32, k: (v) => v };
+        result = FROM_KELVIN[target.symbol](KELVIN[source.symbol](value));
+    } else {
+        const units = UNITS[source.category];
+        result = value * units[source.symbol] / units[target.symbol];
+    }
+    return `${value} ${from} = ${parseFloat(result.toPrecision(6))} ${to}`;
+};
+
+/**
+ * Represents a tool which can be chosen during the reasoning.
+ *
+ * @typedef {Object} Tool
+ * @property {string} description - What the tool is for, and what its input (as keyphrases) should be.
+ * @property {function(string): string=} compute - Produces the result from the input.
+ */
+
+/**
+ * All tools available to answer an inquiry. Google (web search) is the default one.
+ *
+ * @type {Object.<string, Tool>}
+ */
+const TOOLS = {
+    Google: {
+        description: 'search engine for anything else (the default choice), with keyphrases to search for'
+    },
+    Calculator: {
+        description: 'for arithmetic, with the expression as keyphrases, e.g. "17% * 2340"',
+        compute: calculate
+    },
+    Clock: {
+        description: 'for the current date and time, with the time zone as keyphrases, e.g. "Asia/Tokyo"',
+        compute: clock
+    },
+    Converter: {
+        description: 'for unit conversion, with the conversion as keyphrases, e.g. "5 km to mi"',
+        compute: convert
+    },
+    None: {
+        description: 'for small talk (greetings, thanks, etc) which does not need any tool, with empty keyphrases'
+    }
+};
+
+/**
+ * Represents the record of an atomic processing.
+ *
+ * @typedef {Object} Stage
+ * @property {string} name
+ * @property {number} timestamp (Unix epoch)
+ * @property {number} duration (in ms)
+ */
+
+/**
+ * Represents the contextual information for each pipeline stage.
+ *
+ * @typedef {Object} Context
+ * @property {Array<object>} history
+ * @property {string} inquiry
+ * @property {string} thought
+ * @property {string} keyphrases
+ * @property {string} observation
+ * @property {Array<Reference>} references
+ * @property {string} answer
+ * @property {Array<object>} verdicts
+ * @property {Object.<string, function>} delegates - Impure functions to access the outside world.
+ */
+
+/**
+ * Performs a basic step-by-step reasoning, in the style of Chain of Thought.
+ * The updated context will contains new information such as `keyphrases` and `observation`.
+ *
+ * @param {Context} context - Current pipeline context.
+ * @returns {Context} Updated pipeline context.
+ */
+
+const REASON_PROMPT = `You are Gamal, a world-class answering assistant.
+You are interacting with a human who gives you an inquiry.
+Your task is as follows.
+
+Focus on the last message from the user.
+If necessary, refer to the relevant part of the previous conversation history.
+This is particulary useful when the inquiry is a follow-up question with pronouns, or when the inquiry contains pronouns referring to the earlier discussion.
+
+Use Google to search for the answer, unless another tool is more suitable. Think step by step. Fix any misspelings.
+Do not refuse to search for future events beyond your knowledge cutoff, because Google will still find it for you.
+
+Use the same language as the inquiry.
+
+The available tools are:
+
+{TOOLS}
+
+Always output your thought in the following format`;
+
+const REASON_GUIDELINE = {
+    tool: 'the tool to use (Google, Calculator, Clock, Converter, or None)',
+    language: 'the language of the inquiry e.g. French, Spanish, Mandarin, etc',
+    thought: 'describe your thoughts about the inquiry',
+    keyphrases: 'the important key phrases to search for (or the input for the tool)',
+    observation: 'the concise result of the search tool',
+    topic: 'the specific topic covering the inquiry'
+};
+
+const REASON_EXAMPLE_FRENCH_INQUIRY = `
+# Example 1
+
+Given an inquiry "Pour quoi le lac de Pitch à Trinidad est-il célèbre?", you will output:`;
+
+const REASON_EXAMPLE_FRENCH_OUTPUT = {
+    tool: 'Google',
+    language: 'French',
+    thought: 'Cela concerne la géographie, je vais utiliser la recherche Google',
+    keyphrases: 'Pitch Lake in Trinidad famerenommée du lac de Pitch à Trinidad',
+    observation: 'Le lac de Pitch à Trinidad est le plus grand dépôt naturel d\'asphalte.',
+    topic: 'géographie'
+};
+
+const REASON_EXAMPLE_ENGLISH_INQUIRY = `
+# Example 2
+
+Given an inquiry "What mineral was once considered the rarest in the world?", you will output:`;
+
+const REASON_EXAMPLE_ENGLISH_OUTPUT = {
+    tool: 'Google',
+    language: 'English',
+    thought: 'This is about mineralogy, I will use Google to search for the answer',
+    keyphrases: 'rarest mineral in the world',
+    observation: 'Painite was once considered the rarest mineral in the world, with only a handful of specimens known until new deposits were discovered in the early 2000s.',
+    topic: 'mineralogy'
+};
+
+const REASON_EXAMPLE_CALCULATOR_INQUIRY = `
+# Example 3
+
+Given an inquiry "What is 17% of 2340?", you will output:`;
+
+const REASON_EXAMPLE_CALCULATOR_OUTPUT = {
+    tool: 'Calculator',
+    language: 'English',
+    thought: 'This is arithmetic, I will use the calculator',
+    keyphrases: '17% * 2340',
+    observation: '17% of 2340 is 397.8',
+    topic: 'arithmetic'
+};
+
+const REASON_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        tool: {
+            type: 'string',
+            enum: Object.keys(TOOLS)
+        },
+        language: {
+            type: 'string'
+        },
+        thought: {
+            type: 'string'
+        },
+        keyphrases: {
+            type: 'string'
+        },
+        observation: {
+            type: 'string'
+        },
+        topic: {
+            type: 'string'
+        }
+    },
+    required: [
+        'tool',
+        'language',
+        'thought',
+        'keyphrases',
+        'observation',
+        'topic'
+    ]
+};
+
+const reason = async (context) => {
+    const { history = [], delegates = {} } = context;
+    const { enter, leave } = delegates;
+    enter && enter('Reason');
+
+    const schema = LLM_JSON_SCHEMA ? REASON_SCHEMA : null;
+    const relevant = history.slice(-3);
+
+    const messages = [];
+    const tools = Object.keys(TOOLS).map((name) => `  * ${name}: ${TOOLS[name].description}`).join('\n');
+    let prompt = structure(REASON_PROMPT.replace('{TOOLS}', tools), REASON_GUIDELINE);
+    prompt += structure(REASON_EXAMPLE_FRENCH_INQUIRY, REASON_EXAMPLE_FRENCH_OUTPUT);
+    prompt += structure(REASON_EXAMPLE_ENGLISH_INQUIRY, REASON_EXAMPLE_ENGLISH_OUTPUT);
+    prompt += structure(REASON_EXAMPLE_CALCULATOR_INQUIRY, REASON_EXAMPLE_CALCULATOR_OUTPUT);
+    if (relevant.length > 0) {
+        prompt += '\n\n';
+        prompt += ['# Conversation History', 'You and the user recently discussed:'].join('\n\n');
+        prompt += '\n\n';
+        relevant.forEach((msg) => {
+            const { inquiry, answer } = msg;
+            prompt += `  * ${inquiry}\n`;
+            prompt += `  * ${answer}\n`;
+        });
+    }
+    messages.push({ role: 'system', content: prompt });
+
+    const { inquiry } = context;
+    messages.push({ role: 'user', content: inquiry });
+    const hint = schema ? '' : 'tool: ';
+    (!schema) && messages.push({ role: 'assistant', content: hint });
+    let usage = null;
+    const meter = (consumed) => (usage = tally([usage, consumed]));
+    const completion = await consult(messages, schema, null, meter);
+    let result = breakdown(hint, completion);
+    const choice = (result.tool || '').toLowerCase().replace(/[^a-z]/g, '');
+    let tool = Object.keys(TOOLS).find((name) => choice.startsWith(name.toLowerCase())) || 'Google';
+    if (tool !== 'None' && (!result.keyphrases || result.keyphrases.length === 0)) {
+        tool = 'Google';
+        LLM_DEBUG_CHAT && console.log(`-->${RED}Invalid keyphrases. Trying again...`);
+        if (!schema) {
+            const hint = ['TOOL: Google.', 'THOUGHT: ' + result.thought, 'KEYPHRASES: '].join('\n');
+            messages.pop();
+            messages.push({ role: 'assistant', content: hint });
+        }
+        const completion = await consult(messages, null, null, meter);
+        result = breakdown(hint, completion);
+    }
+    const { language, topic, thought, keyphrases, observation } = result;
+    LLM_DEBUG_CHAT && console.log(`-->${GREEN}${JSON.stringify({ tool, language, topic, keyphrases }, null, 2)}`);
+    leave && leave('Reason', { tool, language, topic, thought, keyphrases, observation, usage });
+    return { tool, language, topic, thought, keyphrases, observation, ...context };
+};
+
+/**
+ * Determines the ISO 639-1 language code based on the input language string.
  *
- * @typedef {Object} Message
- * @property {'system'|'user'|'assistant'} role
- * @property {string} content
+ * @param {string} language - The language string to be checked.
+ * @return {string} The corresponding ISO 639-1 language code or null if not found.
  */
+const iso6391 = (language) => {
+    const lang = language || 'Unknown';
+    const CODE = {
+        German: 'de',
+        Deutsch: 'de',
+        French: 'fr',
+        Français: 'fr',
+        Spanish: 'es',
+        Español: 'es',
+        Indonesia: 'id',
+        Bahasa: 'id',
+        Italian: 'it',
+        Italiano: 'it'
+    };
+    const name = Object.keys(CODE).find((key) => lang.toLowerCase().startsWith(key.toLowerCase()));
+    return name ? CODE[name] : null;
+};
 
 /**
- * A callback function to stream then completion.
+ * Represents a single search result.
  *
- * @callback CompletionHandler
- * @param {string} text
- * @returns {void}
+ * @typedef {Object} Reference
+ * @property {number} position
+ * @property {string} url
+ * @property {string} title
+ * @property {string} snippet
  */
 
 /**
- * Generates a chat completion using a RESTful LLM API service.
+ * Converts a list of raw search results into the TOP_K references.
+ * Entries without a URL or without a snippet are discarded.
  *
- * @param {Array<Message>} messages - List of chat messages.
- * @param {Object} schema - An optional JSON schema for the completion.
- * @param {CompletionHandler=} handler - An optional callback to stream the completion.
- * @returns {Promise<string>} The completion generated by the LLM.
+ * @param {Array<object>} entries - Search results, each with `url`, `title`, and `snippet`.
+ * @return {Array<Reference>} Array of references.
  */
-
-const chat = async (messages, schema, handler = null, attempt = MAX_RETRY_ATTEMPT) => {
-    const timeout = 17; // seconds
-    const gemini = LLM_API_BASE_URL.indexOf('generativelanguage.google') > 0;
-    const stream = LLM_STREAMING && typeof handler === 'function';
-    const model = LLM_CHAT_MODEL || 'gpt-4o-mini';
-    const generate = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?'
-    const url = gemini ? `${LLM_API_BASE_URL}/models/${model}:${generate}key=${LLM_API_KEY}` : `${LLM_API_BASE_URL}/chat/completions`
-    const auth = (LLM_API_KEY && !gemini) ? { 'Authorization': `Bearer ${LLM_API_KEY}` } : {};
-    const stop = ['<|im_end|>', '<|end|>', '<|eot_id|>'];
-    const max_tokens = 500;
-    const temperature = 0;
-
-    const response_format = schema ? {
-        type: 'json_schema',
-        json_schema: {
-            schema,
-            name: 'response',
-            strict: true
-        }
-    } : undefined;
-
-    const geminify = schema => ({ ...schema, additionalProperties: undefined });
-    const response_schema = response_format ? geminify(schema) : undefined;
-    const response_mime_type = response_schema ? 'application/json' : 'text/plain';
-
-    const bundles = messages.map(({ role, content }) => {
-        return { role, parts: [{ text: content }] };
-    });
-    const contents = bundles.filter(({ role }) => role === 'user');
-    const system_instruction = bundles.filter(({ role }) => role === 'system').shift();
-    const generationConfig = { temperature, response_mime_type, response_schema, maxOutputTokens: max_tokens };
-
-    const body = gemini ?
-        { system_instruction, contents, generationConfig } :
-        { messages, response_format, model, stop, max_tokens, temperature, stream }
-
-    LLM_DEBUG_CHAT &&
-        messages.forEach(({ role, content }) => {
-            console.log(`${MAGENTA}${role}:${NORMAL} ${content}`);
-        });
-
-    try {
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', ...auth },
-            body: JSON.stringify(body)
+const rank = (entries) => {
+    return entries
+        .filter((entry) => {
+            const { url, snippet } = entry;
+            return url && url.length > 0 && snippet && snippet.length > 0;
+        })
+        .slice(0, TOP_K)
+        .map((entry, i) => {
+            const { url, title, snippet } = entry;
+            const position = i + 1;
+            return { position, url, title, snippet };
         });
-        if (!response.ok) {
-            throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
-        }
-
-        const extract = (data) => {
-            const { choices, candidates } = data;
-            const first = choices ? choices[0] : candidates[0];
-            if (first?.content || first?.message) {
-                const content = first?.content ? first.content : first.message.content;
-                const parts = content?.parts;
-                const answer = parts ? parts.map(part => part.text).join('') : content;
-                return answer;
-            }
-            return '';
-        }
-
-        if (!stream) {
-            const data = await response.json();
-            const answer = extract(data).trim();
-            if (LLM_DEBUG_CHAT) {
-                if (LLM_JSON_SCHEMA) {
-                    const parsed = unJSON(answer);
-                    const empty = Object.keys(parsed).length === 0;
-                    const formatted = empty ? answer : JSON.stringify(parsed, null, 2);
-                    console.log(`${YELLOW}${formatted}${NORMAL}`);
-                } else {
-                    console.log(`${YELLOW}${answer}${NORMAL}`);
-                }
-            }
-            (answer.length > 0) && handler && handler(answer);
-            return answer;
-        }
-
-        const parse = (line) => {
-            let partial = null;
-            const prefix = line.substring(0, 6);
-            if (prefix === 'data: ') {
-                const payload = line.substring(6);
-                try {
-                    const data = JSON.parse(payload);
-                    const { choices, candidates } = data;
-                    if (choices) {
-                        const [choice] = choices;
-                        const { delta } = choice;
-                        partial = delta?.content || '';
-                    } else if (candidates) {
-                        partial = extract(data);
-                    }
-                } catch (e) {
-                    // ignore
-                } finally {
-                    return partial;
-                }
-            }
-            return partial;
-        }
+};
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+/**
+ * Queries a search service with a JSON API and collects the references.
+ *
+ * @param {string} engine - The name of the search engine.
+ * @param {URL} url - The complete request URL.
+ * @param {Object} headers - Additional HTTP request headers.
+ * @param {function} collect - Extracts the list of `{ url, title, snippet }` from the JSON response.
+ * @return {Object} The request URL and the array of references.
+ * @throws {Error} - If the search fails with a non-200 status.
+ */
+const lookup = async (engine, url, headers, collect, attempt = MAX_RETRY_ATTEMPT) => {
+    const timeout = 31; // seconds
 
-        let answer = '';
-        let buffer = '';
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) {
-                break;
+    try {
+        const retry = MAX_RETRY_ATTEMPT - attempt;
+        return await trace('Lookup', { engine, url: url.toString(), retry }, async (span) => {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers,
+                signal: AbortSignal.timeout(timeout * 1000)
+            });
+            if (!response.ok) {
+                throw new EvalError(`${engine} failed with status: ${response.status}`);
             }
-            const lines = decoder.decode(value).split('\n');
-            for (let i = 0; i < lines.length; ++i) {
-                const line = buffer + lines[i];
-                if (line[0] === ':') {
-                    buffer = '';
-                    continue;
-                }
-                if (line === 'data: [DONE]') {
-                    break;
-                }
-                if (line.length > 0) {
-                    const partial = parse(line.trim());
-                    if (partial === null) {
-                        buffer = line;
-                    } else if (partial && partial.length > 0) {
-                        buffer = '';
-                        if (answer.length < 1) {
-                            const leading = partial.trim();
-                            answer = leading;
-                            handler && (leading.length > 0) && handler(leading);
-                        } else {
-                            answer += partial;
-                            handler && handler(partial);
-                        }
-                    }
-                }
+            const references = rank(collect(await response.json()) || []);
+            if (references.length <= 0) {
+                throw new EvalError(`${engine} failed, giving no result`);
             }
-        }
-        return answer;
+            span.attributes.references = references;
+            return { url, references };
+        });
     } catch (e) {
+        LLM_DEBUG_SEARCH && console.log();
         if (e.name === 'TimeoutError') {
-            LLM_DEBUG_CHAT && console.log(`Timeout with LLM chat after ${timeout} seconds`);
+            LLM_DEBUG_SEARCH && console.log(`Timeout with ${engine} after ${timeout} seconds`);
         }
         if (attempt > 1 && (e.name === 'TimeoutError' || e.name === 'EvalError')) {
-            LLM_DEBUG_CHAT && console.log('Retrying...');
+            LLM_DEBUG_SEARCH && console.log(`Retrying... (due to error: ${e.toString()})`);
+            count('gamal_search_retries_total', { engine });
             await sleep((MAX_RETRY_ATTEMPT - attempt + 1) * 1500);
-            return await chat(messages, schema, handler, attempt - 1);
+            return await lookup(engine, url, headers, collect, attempt - 1);
         } else {
+            count('gamal_search_errors_total', { engine });
             throw e;
         }
     }
-}
+};
 
-const PREDEFINED_KEYS = ['inquiry', 'tool', 'language', 'thought', 'keyphrases', 'observation', 'answer', 'topic'];
+/**
+ * Searches for relevant information using SearXNG.
+ *
+ * @param {string} query - The search query.
+ * @param {string} language - The language of the query.
+ * @return {Object} The request URL and the array of references.
+ * @throws {Error} - If the search fails with a non-200 status.
+ */
+const searxng = async (query, language) => {
+    LLM_DEBUG_SEARCH && console.log(`SearXNG search with language: ${MAGENTA}${language}${NORMAL}, query: ${YELLOW}${query}${NORMAL}`);
+
+    const lang = iso6391(language) || 'auto';
+    let url = new URL(`${SEARXNG_URL}/search`);
+    url.searchParams.append('q', query);
+    url.searchParams.append('language', lang);
+    url.searchParams.append('categories', 'web');
+    url.searchParams.append('engines', 'go,ddg,bi,br,yh,qw,sp,mjk');
+    url.searchParams.append('safesearch', '0');
+    url.searchParams.append('format', 'json');
+
+    const collect = ({ results = [] }) => results.map(({ url, title, content }) => ({ url, title, snippet: content }));
+    return await lookup('SearXNG', url, {}, collect);
+};
 
 /**
- * Break downs a multi-line text based on a number of predefined keys.
+ * Searches for relevant information using Brave Search API.
  *
- * @param {string} text
- * @returns {Array<string>}
+ * @param {string} query - The search query.
+ * @param {string} language - The language of the query.
+ * @return {Object} The request URL and the array of references.
+ * @throws {Error} - If the search fails with a non-200 status.
  */
+const brave = async (query, language) => {
+    LLM_DEBUG_SEARCH && console.log(`Brave search with language: ${MAGENTA}${language}${NORMAL}, query: ${YELLOW}${query}${NORMAL}`);
 
-const deconstruct = (text, markers = PREDEFINED_KEYS) => {
-    const parts = {};
-    const keys = [...markers].reverse();
-    const anchor = markers.slice().pop();
-    const start = text.lastIndexOf(anchor + ':');
-    if (start >= 0) {
-        parts[anchor] = text.substring(start).replace(anchor + ':', '').trim();
-        let str = text.substring(0, start);
-        for (let i = 0; i < keys.length; ++i) {
-            const marker = keys[i];
-            const pos = str.lastIndexOf(marker + ':');
-            if (pos >= 0) {
-                const substr = str.substr(pos + marker.length + 1).trim();
-                const value = substr.split('\n').shift();
-                str = str.slice(0, pos);
-                parts[marker] = value;
+    const lang = iso6391(language);
+    let url = new URL(`${SEARCH_API_URL || 'https://api.search.brave.com/res/v1'}/web/search`);
+    url.searchParams.append('q', query);
+    lang && url.searchParams.append('search_lang', lang);
+    url.searchParams.append('safesearch', 'off');
+
+    const headers = { 'Accept': 'application/json', 'X-Subscription-Token': SEARCH_API_KEY };
+    const collect = ({ web = {} }) => (web.results || []).map(({ url, title, description }) => ({ url, title, snippet: description }));
+    return await lookup('Brave', url, headers, collect);
+};
+
+/**
+ * Searches for relevant information using Bing Web Search API.
+ *
+ * @param {string} query - The search query.
+ * @param {string} language - The language of the query.
+ * @return {Object} The request URL and the array of references.
+ * @throws {Error} - If the search fails with a non-200 status.
+ */
+const bing = async (query, language) => {
+    LLM_DEBUG_SEARCH && console.log(`Bing search with language: ${MAGENTA}${language}${NORMAL}, query: ${YELLOW}${query}${NORMAL}`);
+
+    const lang = iso6391(language);
+    let url = new URL(`${SEARCH_API_URL || 'https://api.bing.microsoft.com/v7.0'}/search`);
+    url.searchParams.append('q', query);
+    lang && url.searchParams.append('setLang', lang);
+    url.searchParams.append('responseFilter', 'Webpages');
+    url.searchParams.append('safeSearch', 'Off');
+
+    const headers = { 'Ocp-Apim-Subscription-Key': SEARCH_API_KEY };
+    const collect = ({ webPages = {} }) => (webPages.value || []).map(({ url, name, snippet }) => ({ url, title: name, snippet }));
+    return await lookup('Bing', url, headers, collect);
+};
+
+/**
+ * Searches for relevant information using a custom HTTP endpoint.
+ * The endpoint receives the query as `q` (and the ISO 639-1 code as `language`)
+ * and must return a JSON array, or an object with a `results` array, where each
+ * entry has `url`, `title`, and either `snippet` or `content`.
+ *
+ * @param {string} query - The search query.
+ * @param {string} language - The language of the query.
+ * @return {Object} The request URL and the array of references.
+ * @throws {Error} - If the search fails with a non-200 status.
+ */
+const custom = async (query, language) => {
+    LLM_DEBUG_SEARCH && console.log(`Custom search with language: ${MAGENTA}${language}${NORMAL}, query: ${YELLOW}${query}${NORMAL}`);
+
+    const lang = iso6391(language) || 'auto';
+    let url = new URL(SEARCH_API_URL);
+    url.searchParams.append('q', query);
+    url.searchParams.append('language', lang);
+
+    const headers = (SEARCH_API_KEY) ? { 'Authorization': `Bearer ${SEARCH_API_KEY}` } : {};
+    const collect = (data) => {
+        const results = Array.isArray(data) ? data : (data && data.results) || [];
+        return results.filter((entry) => entry && entry.url).map(({ url, title, snippet, content }) => ({ url, title, snippet: snippet || content }));
+    };
+    return await lookup('Custom', url, headers, collect);
+};
+
+const LOCAL_EXTENSIONS = ['.md', '.markdown', '.txt', '.html', '.htm'];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Represents a passage of a local document, spanning a range of lines.
+ *
+ * @typedef {Object} Passage
+ * @property {string} file
+ * @property {number} start - The first line (1-based).
+ * @property {number} end - The last line (inclusive).
+ * @property {string} text
+ * @property {Map<string, number>} frequencies - Number of occurrences of every term.
+ * @property {number} length - Total number of terms.
+ */
+
+/**
+ * Finds all supported documents (Markdown, text, and HTML) in a directory and its subdirectories.
+ *
+ * @param {string} dir - The directory to scan.
+ * @return {Array<string>} Array of file paths.
+ */
+const scan = (dir) => {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .flatMap((entry) => {
+            const name = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return scan(name);
             }
-        }
-    }
-    return parts;
+            return LOCAL_EXTENSIONS.includes(path.extname(name).toLowerCase()) ? [name] : [];
+        });
 };
 
 /**
- * Constructs a multi-line text based on a number of key-value pairs.
+ * Splits a document into passages of consecutive lines. A passage ends at a blank line
+ * (once it is long enough) or when it reaches FETCH_CHUNK_SIZE characters.
  *
- * @param {Object} key-value pairs
- * @return {text}
+ * @param {string} file - The path to the document.
+ * @return {Array<Passage>} Array of passages.
  */
-const construct = (kv) => {
-    if (LLM_JSON_SCHEMA) {
-        return JSON.stringify(kv, null, 2);
-    }
-    return PREDEFINED_KEYS.filter(key => kv[key]).map(key => {
-        const value = kv[key];
-        if (value && value.length > 0) {
-            return `${key}: ${value}`;
+const segment = (file) => {
+    const content = fs.readFileSync(file, 'utf-8');
+    const html = ['.html', '.htm'].includes(path.extname(file).toLowerCase());
+    const lines = (html ? declutter(content).replace(/<[^>]+>/g, (tag) => ' ' + tag.replace(/[^\n]/g, '')) : content)
+        .split('\n')
+        .map((line) => html ? decodeEntities(line) : line)
+        .map((line) => line.replace(/\s+/g, ' ').trim());
+
+    const passages = [];
+    let start = 0;
+    let end = 0;
+    let buffer = [];
+    const add = () => {
+        const text = buffer.join(' ').trim();
+        if (text.length > 0) {
+            const tokens = tokenize(text);
+            const frequencies = new Map();
+            tokens.forEach((token) => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+            passages.push({ file, start: start + 1, end, text, frequencies, length: tokens.length });
         }
-        return null;
-    }).join('\n');
+        buffer = [];
+    };
+    lines.forEach((line, i) => {
+        if (line.length === 0) {
+            (buffer.join(' ').length >= FETCH_CHUNK_SIZE / 3) && add();
+            return;
+        }
+        if (buffer.length === 0) {
+            start = i;
+        }
+        buffer.push(line);
+        end = i + 1;
+        (buffer.join(' ').length >= FETCH_CHUNK_SIZE) && add();
+    });
+    add();
+    return passages;
 };
 
+const catalogs = {};
+
 /**
- * Represents the record of an atomic processing.
+ * Builds (once) the index of all passages in the local documents, along with the
+ * document frequency of every term, as required by BM25 ranking.
  *
- * @typedef {Object} Stage
- * @property {string} name
- * @property {number} timestamp (Unix epoch)
- * @property {number} duration (in ms)
+ * @param {string} dir - The directory containing the documents.
+ * @return {Object} The index: `passages`, `frequencies`, and `average` passage length.
  */
+const catalog = (dir) => {
+    if (catalogs[dir]) {
+        return catalogs[dir];
+    }
+    const start = Date.now();
+    const passages = scan(dir).flatMap(segment);
+    const frequencies = new Map();
+    passages.forEach((passage) => {
+        passage.frequencies.forEach((_, term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    });
+    const total = passages.reduce((sum, passage) => sum + passage.length, 0);
+    const average = passages.length > 0 ? total / passages.length : 0;
+    LLM_DEBUG_SEARCH && console.log(`Indexed ${passages.length} passages from ${dir} in ${Date.now() - start} ms`);
+    catalogs[dir] = { passages, frequencies, average };
+    return catalogs[dir];
+};
 
 /**
- * Represents the contextual information for each pipeline stage.
+ * Searches for relevant passages in the local documents (in SEARCH_LOCAL_PATH) using BM25 ranking.
+ * Each reference points to the file and its line range.
  *
- * @typedef {Object} Context
- * @property {Array<object>} history
- * @property {string} inquiry
- * @property {string} thought
- * @property {string} keyphrases
- * @property {string} observation
- * @property {string} answer
- * @property {Object.<string, function>} delegates - Impure functions to access the outside world.
+ * @param {string} query - The search query.
+ * @param {string} language - The language of the query.
+ * @return {Object} The directory and the array of references.
  */
+const local = async (query, language) => {
+    LLM_DEBUG_SEARCH && console.log(`Local search with language: ${MAGENTA}${language}${NORMAL}, query: ${YELLOW}${query}${NORMAL}`);
+
+    const { passages, frequencies, average } = catalog(SEARCH_LOCAL_PATH);
+    const count = passages.length;
+    const terms = [...new Set(tokenize(query))].filter((term) => frequencies.has(term));
+    const idf = (term) => {
+        const n = frequencies.get(term);
+        return Math.log(1 + (count - n + 0.5) / (n + 0.5));
+    };
+    const score = (passage) => {
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * passage.length / average);
+        return terms.reduce((sum, term) => {
+            const tf = passage.frequencies.get(term) || 0;
+            return sum + idf(term) * (tf * (BM25_K1 + 1)) / (tf + norm);
+        }, 0);
+    };
+
+    const entries = passages
+        .map((passage) => ({ passage, relevance: score(passage) }))
+        .filter(({ relevance }) => relevance > 0)
+        .sort((p, q) => q.relevance - p.relevance)
+        .map(({ passage }) => {
+            const { file, start, end, text } = passage;
+            const url = `${file}#L${start}-L${end}`;
+            const title = `${path.relative(SEARCH_LOCAL_PATH, file)} (lines ${start}-${end})`;
+            return { url, title, snippet: text };
+        });
+
+    return { url: SEARCH_LOCAL_PATH, references: rank(entries) };
+};
 
 /**
- * Performs a basic step-by-step reasoning, in the style of Chain of Thought.
- * The updated context will contains new information such as `keyphrases` and `observation`.
- *
- * @param {Context} context - Current pipeline context.
- * @returns {Context} Updated pipeline context.
+ * All supported search providers, selectable via SEARCH_PROVIDER.
  */
+const SEARCH_PROVIDERS = {
+    searxng: { engine: 'SearXNG', find: searxng },
+    brave: { engine: 'Brave', find: brave },
+    bing: { engine: 'Bing', find: bing },
+    custom: { engine: 'Custom', find: custom },
+    local: { engine: 'Local', find: local }
+};
 
-const REASON_PROMPT = `You are Gamal, a world-class answering assistant.
-You are interacting with a human who gives you an inquiry.
-Your task is as follows.
+/**
+ * Searches using the configured search provider, reusing the cached result if possible.
+ *
+ * @param {string} topic - The topic of the inquiry.
+ * @param {string} keyphrases - The key phrases to search for.
+ * @param {string} language - The language of the inquiry.
+ * @return {Object} The search engine, the request URL, the references, and whether it was cached.
+ */
+const discover = async (topic, keyphrases, language) => {
+    const query = (topic || '') + ': ' + keyphrases.replace(/\.$/, '').replace(/^"|"$/g, '');
 
-Focus on the last message from the user.
-If necessary, refer to the relevant part of the previous conversation history.
-This is particulary useful when the inquiry is a follow-up question with pronouns, or when the inquiry contains pronouns referring to the earlier discussion.
+    const { engine, find } = SEARCH_PROVIDERS[SEARCH_PROVIDER];
+    const endpoint = (SEARCH_PROVIDER === 'searxng') ? SEARXNG_URL : (SEARCH_PROVIDER === 'local') ? SEARCH_LOCAL_PATH : SEARCH_API_URL;
+    const key = digest(['search', SEARCH_PROVIDER, endpoint || '', query, language]);
+    const cached = retrieve(key);
+    const { url, references } = cached || store(key, await find(query, language));
+    return { engine, url: url.toString(), references, cached: Boolean(cached) };
+};
 
-Use Google to search for the answer. Think step by step. Fix any misspelings.
-Do not refuse to search for future events beyond your knowledge cutoff, because Google will still find it for you.
+/**
+ * Uses the online search engine to collect relevant information based on the keyphrases.
+ * The TOP_K most relevant results will be stored in `references`.
+ *
+ * @param {Context} context - Current pipeline context.
+ * @returns {Context} Updated pipeline context.
+ */
+const search = async (context) => {
+    const { delegates, keyphrases, topic, language } = context;
+    const { enter, leave } = delegates;
+    enter && enter('Search');
 
-Use the same language as the inquiry.
+    const { engine, url, references, cached } = await discover(topic, keyphrases, language);
+    leave && leave('Search', { engine, url, references, cached });
+    return { ...context, references };
+};
 
-Always output your thought in the following format`;
+const HOP_PROMPT = `You are Gamal, a world-class answering assistant.
+You are given an inquiry from the user and the set of references found so far, each starting with [citation:x].
 
-const REASON_GUIDELINE = {
-    tool: 'the search engine to use (must be Google)',
-    language: 'the language of the inquiry e.g. French, Spanish, Mandarin, etc',
-    thought: 'describe your thoughts about the inquiry',
-    keyphrases: 'the important key phrases to search for',
-    observation: 'the concise result of the search tool',
-    topic: 'the specific topic covering the inquiry'
-};
+Decide whether these references contain enough information to fully answer the inquiry.
+This is often not the case when the inquiry compares several things or consists of multiple parts.
+If the references are not sufficient, give the key phrases to search for the missing information.
+Do not repeat any of the previous searches.
 
-const REASON_EXAMPLE_FRENCH_INQUIRY = `
-# Example 1
+Here are the set of references:
 
-Given an inquiry "Pour quoi le lac de Pitch à Trinidad est-il célèbre?", you will output:`;
+{REFERENCES}
 
-const REASON_EXAMPLE_FRENCH_OUTPUT = {
-    tool: 'Google',
-    language: 'French',
-    thought: 'Cela concerne la géographie, je vais utiliser la recherche Google',
-    keyphrases: 'Pitch Lake in Trinidad famerenommée du lac de Pitch à Trinidad',
-    observation: 'Le lac de Pitch à Trinidad est le plus grand dépôt naturel d\'asphalte.',
-    topic: 'géographie'
-};
+The previous searches were:
 
-const REASON_EXAMPLE_ENGLISH_INQUIRY = `
-# Example 2
+{SEARCHES}
 
-Given an inquiry "What mineral was once considered the rarest in the world?", you will output:`;
+Always output your decision in the following format`;
 
-const REASON_EXAMPLE_ENGLISH_OUTPUT = {
-    tool: 'Google',
-    language: 'English',
-    thought: 'This is about mineralogy, I will use Google to search for the answer',
-    keyphrases: 'rarest mineral in the world',
-    observation: 'Painite was once considered the rarest mineral in the world, with only a handful of specimens known until new deposits were discovered in the early 2000s.',
-    topic: 'mineralogy'
+const HOP_GUIDELINE = {
+    thought: 'describe what is known and what is still missing to answer the inquiry',
+    sufficient: 'yes if the references are enough to answer the inquiry, otherwise no',
+    keyphrases: 'the key phrases to search for the missing information (or none)'
 };
 
-const REASON_SCHEMA = {
+const HOP_SCHEMA = {
     type: 'object',
     additionalProperties: false,
     properties: {
-        tool: {
-            type: 'string'
-        },
-        language: {
-            type: 'string'
-        },
         thought: {
             type: 'string'
         },
-        keyphrases: {
-            type: 'string'
-        },
-        observation: {
-            type: 'string'
+        sufficient: {
+            type: 'string',
+            enum: ['yes', 'no']
         },
-        topic: {
+        keyphrases: {
             type: 'string'
         }
     },
     required: [
-        'tool',
-        'language',
         'thought',
-        'keyphrases',
-        'observation',
-        'topic'
+        'sufficient',
+        'keyphrases'
     ]
 };
 
-const reason = async (context) => {
-    const { history = [], delegates = {} } = context;
+/**
+ * Searches iteratively, as long as the references are not sufficient to answer the inquiry,
+ * up to SEARCH_MAX_HOPS searches in total (including the initial one).
+ * The references from every hop are merged, while keeping the existing citation numbers.
+ * If a hop fails, the iteration stops with the references gathered so far.
+ *
+ * @param {Context} context - Current pipeline context.
+ * @returns {Context} Updated pipeline context.
+ */
+const iterate = async (context) => {
+    const { delegates = {}, inquiry, tool, topic, language } = context;
+    if (tool !== 'Google' || SEARCH_MAX_HOPS <= 1) {
+        return context;
+    }
     const { enter, leave } = delegates;
-    enter && enter('Reason');
+    const schema = LLM_JSON_SCHEMA ? HOP_SCHEMA : null;
+
+    let { references = [] } = context;
+    const searches = [context.keyphrases];
+    for (let hop = 2; hop <= SEARCH_MAX_HOPS; ++hop) {
+        enter && enter('Hop');
+        let usage = null;
+        const meter = (consumed) => (usage = consumed);
+        try {
+            const refs = references.map(({ position, snippet }) => `[citation:${position}] ${snippet}`).join('\n');
+            const prompt = HOP_PROMPT
+                .replace('{REFERENCES}', refs)
+                .replace('{SEARCHES}', searches.map((keyphrases) => `  * ${keyphrases}`).join('\n'));
+            const messages = [];
+            messages.push({ role: 'system', content: structure(prompt, HOP_GUIDELINE) });
+            messages.push({ role: 'user', content: inquiry });
+            const completion = (await consult(messages, schema, null, meter)).trim();
+            const decision = completion.startsWith('{') ?
+                unJSON(completion) : deconstruct(completion, Object.keys(HOP_GUIDELINE));
+            const { thought } = decision;
+            const sufficient = !/^no/i.test(decision.sufficient || 'yes');
+            const keyphrases = (decision.keyphrases || '').trim();
+            LLM_DEBUG_CHAT && console.log(`-->${GREEN}${JSON.stringify({ hop, sufficient, keyphrases }, null, 2)}`);
+            if (sufficient || keyphrases.length === 0 || /^none\.?$/i.test(keyphrases) || searches.includes(keyphrases)) {
+                leave && leave('Hop', { hop, thought, sufficient, usage });
+                break;
+            }
 
-    const schema = LLM_JSON_SCHEMA ? REASON_SCHEMA : null;
-    const relevant = history.slice(-3);
+            searches.push(keyphrases);
+            const found = await discover(topic, keyphrases, language);
+            const known = references.map(({ url }) => url);
+            const additions = found.references
+                .filter(({ url }) => !known.includes(url))
+                .map((reference, i) => ({ ...reference, position: references.length + i + 1 }));
+            references = [...references, ...additions];
+            leave && leave('Hop', { hop, thought, sufficient: false, keyphrases, references: additions, usage });
+        } catch (e) {
+            LLM_DEBUG_CHAT && console.log(`Hop ${hop} failed: ${e.message}`);
+            leave && leave('Hop', { hop, error: e.message, usage });
+            break;
+        }
+    }
 
-    const messages = [];
-    let prompt = structure(REASON_PROMPT, REASON_GUIDELINE);
-    prompt += structure(REASON_EXAMPLE_FRENCH_INQUIRY, REASON_EXAMPLE_FRENCH_OUTPUT);
-    prompt += structure(REASON_EXAMPLE_ENGLISH_INQUIRY, REASON_EXAMPLE_ENGLISH_OUTPUT);
-    if (relevant.length > 0) {
-        prompt += '\n\n';
-        prompt += ['# Conversation History', 'You and the user recently discussed:'].join('\n\n');
-        prompt += '\n\n';
-        relevant.forEach((msg) => {
-            const { inquiry, answer } = msg;
-            prompt += `  * ${inquiry}\n`;
-            prompt += `  * ${answer}\n`;
-        });
+    return { ...context, references };
+};
+
+/**
+ * Uses the tool chosen during the reasoning to collect relevant information.
+ * Except for Google (see `search`), the result of the tool becomes the only reference.
+ * If the tool fails, it falls back to the search.
+ *
+ * @param {Context} context - Current pipeline context.
+ * @returns {Context} Updated pipeline context.
+ */
+const act = async (context) => {
+    const { delegates = {}, tool = 'Google', keyphrases = '' } = context;
+    if (tool === 'None') {
+        return { ...context, references: [] };
+    }
+    const { compute } = TOOLS[tool] || {};
+    if (!compute) {
+        return await search({ ...context, tool: 'Google' });
     }
-    messages.push({ role: 'system', content: prompt });
 
-    const { inquiry } = context;
-    messages.push({ role: 'user', content: inquiry });
-    const hint = schema ? '' : ['tool: Google', 'language: '].join('\n');
-    (!schema) && messages.push({ role: 'assistant', content: hint });
-    const completion = await chat(messages, schema);
-    let result = breakdown(hint, completion);
-    if (!result.keyphrases || result.keyphrases.length === 0) {
-        LLM_DEBUG_CHAT && console.log(`-->${RED}Invalid keyphrases. Trying again...`);
-        if (!schema) {
-            const hint = ['TOOL: Google.', 'THOUGHT: ' + result.thought, 'KEYPHRASES: '].join('\n');
-            messages.pop();
-            messages.push({ role: 'assistant', content: hint });
-        }
-        const completion = await chat(messages);
-        result = breakdown(hint, completion);
+    const { enter, leave } = delegates;
+    enter && enter(tool);
+    try {
+        const result = compute(keyphrases);
+        // without a URL, the result is not listed (nor linked) among the cited references
+        const references = [{ position: 1, url: '', title: tool, snippet: result }];
+        leave && leave(tool, { input: keyphrases, result });
+        return { ...context, references };
+    } catch (e) {
+        LLM_DEBUG_CHAT && console.log(`${tool} failed: ${e.message}. Falling back to search...`);
+        leave && leave(tool, { input: keyphrases, error: e.message });
+        return await search({ ...context, tool: 'Google' });
     }
-    const { language, topic, thought, keyphrases, observation } = result;
-    LLM_DEBUG_CHAT && console.log(`-->${GREEN}${JSON.stringify({ language, topic, keyphrases }, null, 2)}`);
-    leave && leave('Reason', { language, topic, thought, keyphrases, observation });
-    return { language, topic, thought, keyphrases, observation, ...context };
 };
 
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+const HTML_BOILERPLATE = ['script', 'style', 'noscript', 'svg', 'template', 'iframe', 'form', 'nav', 'header', 'footer', 'aside'];
+
 /**
- * Determines the ISO 639-1 language code based on the input language string.
+ * Replaces HTML character references with the actual characters.
  *
- * @param {string} language - The language string to be checked.
- * @return {string} The corresponding ISO 639-1 language code or null if not found.
+ * @param {string} text
+ * @return {string}
  */
-const iso6391 = (language) => {
-    const lang = language || 'Unknown';
-    const CODE = {
-        German: 'de',
-        Deutsch: 'de',
-        French: 'fr',
-        Français: 'fr',
-        Spanish: 'es',
-        Español: 'es',
-        Indonesia: 'id',
-        Bahasa: 'id',
-        Italian: 'it',
-        Italiano: 'it'
-    };
-    const name = Object.keys(CODE).find((key) => lang.toLowerCase().startsWith(key.toLowerCase()));
-    return name ? CODE[name] : null;
+const decodeEntities = (text) => {
+    return text
+        .replace(/&#(\d{1,6});/g, (_, code) => String.fromCodePoint(Math.min(parseInt(code, 10), 0xfffd)))
+        .replace(/&#x([0-9a-f]{1,5});/gi, (_, code) => String.fromCodePoint(Math.min(parseInt(code, 16), 0xfffd)))
+        .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] || entity);
 };
 
 /**
- * Searches for relevant information using SearXNG.
+ * Removes the boilerplate elements (scripts, styles, navigation, etc) from an HTML document.
+ * Every removed element is replaced by its line breaks, so that the line numbers stay intact.
  *
- * @param {string} query - The search query.
- * @return {Array} Array of references containing search results.
- * @throws {Error} - If the search fails with a non-200 status.
+ * @param {string} html - The HTML document.
+ * @return {string} The HTML document without the boilerplate.
  */
-const searxng = async (query, language, attempt = MAX_RETRY_ATTEMPT) => {
-    const timeout = 31; // seconds
+const declutter = (html) => {
+    const blank = (block) => ' ' + block.replace(/[^\n]/g, '');
+    let text = html.replace(/<!--[\s\S]*?-->/g, blank);
+    HTML_BOILERPLATE.forEach((tag) => {
+        text = text.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), blank);
+    });
+    return text;
+};
 
-    LLM_DEBUG_SEARCH && console.log(`SearXNG search with language: ${MAGENTA}${language}${NORMAL}, query: ${YELLOW}${query}${NORMAL}`);
+/**
+ * Extracts the readable main text from an HTML document.
+ * Scripts, styles, navigation, headers, footers, etc are dropped, and if the
+ * document has an `article` or `main` element, only that part is considered.
+ *
+ * @param {string} html - The HTML document.
+ * @return {string} The readable text, one paragraph per line.
+ */
+const extract = (html) => {
+    let text = declutter(html);
+    const main = text.match(/<article\b[\s\S]*<\/article>/i) || text.match(/<main\b[\s\S]*<\/main>/i);
+    if (main) {
+        text = main[0];
+    }
+    return text
+        .replace(/<\/?(p|div|br|li|ul|ol|h[1-6]|tr|table|section|article|main|blockquote|pre)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .split('\n')
+        .map(decodeEntities)
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .filter((line) => line.split(' ').length >= 6)
+        .join('\n');
+};
 
-    const lang = iso6391(language) || 'auto';
-    let url = new URL(`${SEARXNG_URL}/search`);
-    url.searchParams.append('q', query);
-    url.searchParams.append('language', lang);
-    url.searchParams.append('categories', 'web');
-    url.searchParams.append('engines', 'go,ddg,bi,br,yh,qw,sp,mjk');
-    url.searchParams.append('safesearch', '0');
-    url.searchParams.append('format', 'json');
-    try {
-        const response = await fetch(url, {
-            method: 'GET',
-            signal: AbortSignal.timeout(timeout * 1000)
-        });
-        if (!response.ok) {
-            throw new EvalError(`SearXNG failed with status: ${response.status}`);
+/**
+ * Splits a text into chunks of approximately the given size, without
+ * breaking a sentence whenever possible.
+ *
+ * @param {string} text - The text to split.
+ * @param {number} size - The maximum length of each chunk (in characters).
+ * @return {Array<string>} Array of chunks.
+ */
+const chunk = (text, size = FETCH_CHUNK_SIZE) => {
+    const sentences = text.match(/[^.!?\n]+[.!?]*/g) || [];
+    const chunks = [];
+    let current = '';
+    sentences.map((sentence) => sentence.trim()).filter((sentence) => sentence.length > 0).forEach((sentence) => {
+        if (current.length > 0 && current.length + sentence.length + 1 > size) {
+            chunks.push(current);
+            current = '';
         }
-        const { results = [] } = await response.json();
-        const references = results
-            .filter((entry) => {
-                const { url, content } = entry;
-                return url && url.length > 0 && content && content.length > 0;
-            })
-            .slice(0, TOP_K)
-            .map((entry, i) => {
-                const { url, title, content } = entry;
-                const position = i + 1;
-                const snippet = content;
-                return { position, url, title, snippet };
-            });
-        if (references.length <= 0) {
-            throw new EvalError('SearXNG failed, giving no result');
+        current = (current.length > 0) ? current + ' ' + sentence : sentence.substring(0, size);
+    });
+    (current.length > 0) && chunks.push(current);
+    return chunks;
+};
+
+/**
+ * Splits a text into lowercase word tokens.
+ *
+ * @param {string} text
+ * @return {Array<string>}
+ */
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Picks the chunks which are most relevant to the query, based on the number
+ * of query terms they contain. The chosen chunks are kept in their original order.
+ *
+ * @param {Array<string>} chunks - The candidate chunks.
+ * @param {string} query - The query, e.g. the inquiry and its keyphrases.
+ * @param {number} count - The maximum number of chunks to pick.
+ * @return {Array<string>} The relevant chunks.
+ */
+const pick = (chunks, query, count = FETCH_CHUNK_COUNT) => {
+    const terms = new Set(tokenize(query).filter((term) => term.length > 2));
+    return chunks
+        .map((text, index) => {
+            const score = tokenize(text).filter((token) => terms.has(token)).length;
+            return { text, index, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((p, q) => q.score - p.score)
+        .slice(0, count)
+        .sort((p, q) => p.index - q.index)
+        .map(({ text }) => text);
+};
+
+/**
+ * Downloads a web page, giving up when it takes longer than FETCH_TIMEOUT
+ * or when it is larger than FETCH_MAX_BYTES (the rest is then ignored).
+ *
+ * @param {string} url - The URL of the page.
+ * @return {Promise<string>} The (possibly truncated) HTML or plain text.
+ * @throws {Error} - If the download fails or the page is not text.
+ */
+const download = async (url) => {
+    const response = await fetch(url, {
+        headers: { 'Accept': 'text/html,text/plain' },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT * 1000)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP error with the status: ${response.status} ${response.statusText}`);
+    }
+    const type = response.headers.get('content-type') || '';
+    if (!type.startsWith('text/')) {
+        throw new Error(`Unsupported content type: ${type}`);
+    }
+    const charset = (type.match(/charset=([\w-]+)/i) || [])[1];
+    const decoder = (() => {
+        try {
+            return new TextDecoder(charset || 'utf-8');
+        } catch (e) {
+            return new TextDecoder();
         }
-        return { url, references };
-    } catch (e) {
-        LLM_DEBUG_SEARCH && console.log();
-        if (e.name === 'TimeoutError') {
-            LLM_DEBUG_SEARCH && console.log(`Timeout with SearXNG after ${timeout} seconds`);
+    })();
+
+    const reader = response.body.getReader();
+    let text = '';
+    let total = 0;
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
         }
-        if (attempt > 1 && (e.name === 'TimeoutError' || e.name === 'EvalError')) {
-            LLM_DEBUG_SEARCH && console.log(`Retrying... (due to error: ${e.toString()})`);
-            await sleep((MAX_RETRY_ATTEMPT - attempt + 1) * 1500);
-            return await searxng(query, language, attempt - 1);
-        } else {
-            throw e;
+        total += value.length;
+        text += decoder.decode(value, { stream: true });
+        if (total >= FETCH_MAX_BYTES) {
+            LLM_DEBUG_FETCH && console.log(`Truncating ${url} after ${total} bytes`);
+            reader.cancel();
+            break;
         }
     }
+    return text;
 };
 
 /**
- * Uses the online search engine to collect relevant information based on the keyphrases.
- * The TOP_K most relevant results will be stored in `references`.
+ * Downloads every reference and extracts its most relevant passages.
+ * The passages are stored in `passages` of each reference. A reference whose
+ * page can not be downloaded keeps only its original snippet.
+ * This stage does nothing unless FETCH_PAGES is set.
  *
  * @param {Context} context - Current pipeline context.
  * @returns {Context} Updated pipeline context.
  */
-const search = async (context) => {
-    const { delegates, keyphrases, topic, language } = context;
+const read = async (context) => {
+    const { delegates = {}, inquiry, keyphrases, references = [] } = context;
+    if (!FETCH_PAGES || references.length === 0) {
+        return context;
+    }
     const { enter, leave } = delegates;
-    enter && enter('Search');
-
-    const query = (topic || '') + ': ' + keyphrases.replace(/\.$/, '').replace(/^"|"$/g, '');
+    enter && enter('Read');
+
+    const query = [inquiry, keyphrases].join(' ');
+    const pages = [];
+    const updated = await Promise.all(references.map(async (reference) => {
+        const { url } = reference;
+        if (!/^https?:\/\//i.test(url)) {
+            return reference;
+        }
+        try {
+            const start = Date.now();
+            const content = await download(url);
+            const text = content.trimStart().startsWith('<') ? extract(content) : content;
+            const passages = pick(chunk(text), query);
+            const duration = Date.now() - start;
+            LLM_DEBUG_FETCH && console.log(`Read ${url}: ${text.length} characters, ${passages.length} passage(s) in ${duration} ms`);
+            pages.push(`${url} (${passages.length} passages, ${duration} ms)`);
+            return { ...reference, passages };
+        } catch (e) {
+            LLM_DEBUG_FETCH && console.log(`Unable to read ${url}: ${e.toString()}`);
+            pages.push(`${url} (${e.name === 'TimeoutError' ? 'timeout' : 'failed'})`);
+            return reference;
+        }
+    }));
 
-    const { url, references } = await searxng(query, language);
-    leave && leave('Search', { engine: 'SearXNG', url, references });
-    return { ...context, references };
+    leave && leave('Read', { pages });
+    return { ...context, references: updated };
 };
 
 /**
@@ -832,18 +2922,22 @@ Only supply the answer and do not add any additional commentaries, notes, remark
 
 Your answer must be in the same language as the inquiry, i.e. {LANGUAGE}.`;
 
+const CHAT_PROMPT = `You are Gamal, a friendly answering assistant.
+The user is making small talk. Reply briefly and politely, in plain text, in one or two sentences.
+Your reply must be in the same language as the user, i.e. {LANGUAGE}.`;
+
 const respond = async (context) => {
     const { history, delegates = {} } = context;
     const { enter, leave, stream } = delegates;
     enter && enter('Respond');
 
-    const { inquiry, language = 'English', references = [] } = context;
+    const { inquiry, tool, language = 'English', references = [] } = context;
 
     const messages = [];
     if (references && Array.isArray(references) && references.length > 0) {
         const refs = references.map((ref) => {
-            const { position, title, snippet } = ref;
-            return `[citation:${position}] ${snippet}`;
+            const { position, snippet, passages = [] } = ref;
+            return `[citation:${position}] ${[snippet, ...passages].join(' ')}`;
         });
 
         let prompt = RESPOND_PROMPT.replace('{LANGUAGE}', language).replace('{REFERENCES}', refs.join('\n'));
@@ -859,14 +2953,161 @@ const respond = async (context) => {
             });
         }
         messages.push({ role: 'system', content: prompt });
+    } else if (tool === 'None') {
+        messages.push({ role: 'system', content: CHAT_PROMPT.replace('{LANGUAGE}', language) });
     } else {
         console.error('No references to cite');
     }
-    messages.push({ role: 'user', content: inquiry });
-    const schema = null;
-    const answer = await chat(messages, schema, stream);
-    leave && leave('Respond', { inquiry });
-    return { answer, ...context };
+    messages.push({ role: 'user', content: inquiry });
+    const schema = null;
+    let usage = null;
+    const meter = (consumed) => (usage = consumed);
+    const answer = await consult(messages, schema, stream, meter);
+    leave && leave('Respond', { inquiry, usage });
+    return { answer, ...context };
+};
+
+const VERIFY_PROMPT = `You are a meticulous fact checker.
+You are given a set of references, each starting with [citation:x], and a numbered list of statements.
+Every statement is followed by the citations it relies on.
+
+Check every statement against the cited references only, never against your own knowledge.
+A statement is supported only if the cited references clearly state or imply it.
+
+Here are the set of references:
+
+{REFERENCES}
+
+Output one line for every statement, in the format "number: verdict",
+where the verdict is either supported or unsupported. Do not output anything else.`;
+
+/**
+ * Splits an answer into sentences, each keeping its trailing citations.
+ *
+ * @param {string} answer - The answer, with citations like [citation:x].
+ * @returns {Array<{text: string, citations: Array<number>}>} The sentences with their cited reference numbers.
+ */
+const sentences = (answer) => {
+    const CITATION = /[\[\(]citation[:\s](\d+)[\]\)]/gi;
+    return answer
+        .split(/(?<=[.!?](?:\s*[\[\(]citation[:\s]\d+[\]\)])*)\s+(?!\s*[\[\(]citation)/)
+        .filter((text) => text.trim().length > 0)
+        .map((text) => {
+            const citations = Array.from(text.matchAll(CITATION)).map((match) => parseInt(match[1], 10));
+            return { text, citations: citations.filter((num, i) => citations.indexOf(num) === i) };
+        });
+};
+
+/**
+ * Verifies whether every cited sentence of the answer is supported by its references,
+ * only when VERIFY_CITATIONS is set. Unsupported sentences are flagged in the answer,
+ * or removed entirely if VERIFY_CITATIONS is 'remove'.
+ * A sentence without any citation is not checked.
+ *
+ * @param {Context} context - Current pipeline context.
+ * @returns {Context} Updated pipeline context.
+ */
+const verify = async (context) => {
+    const { delegates = {}, answer, references = [] } = context;
+    if (!VERIFY_CITATIONS || !answer || references.length === 0) {
+        return context;
+    }
+    const parts = sentences(answer);
+    const cited = parts.filter(({ citations }) => citations.length > 0);
+    if (cited.length === 0) {
+        return context;
+    }
+    const { enter, leave } = delegates;
+    enter && enter('Verify');
+
+    const refs = references.map(({ position, snippet, passages = [] }) => {
+        return `[citation:${position}] ${[snippet, ...passages].join(' ')}`;
+    });
+    const strip = (text) => text.replace(/\s*[\[\(]citation[:\s]\d+[\]\)]/gi, '').trim();
+    const statements = cited.map(({ text, citations }, i) => {
+        return `${i + 1}. ${strip(text)} ${citations.map((num) => `[citation:${num}]`).join('')}`;
+    });
+    const messages = [];
+    messages.push({ role: 'system', content: VERIFY_PROMPT.replace('{REFERENCES}', refs.join('\n')) });
+    messages.push({ role: 'user', content: statements.join('\n') });
+    let usage = null;
+    const meter = (consumed) => (usage = consumed);
+    const completion = await consult(messages, null, null, meter);
+
+    const checked = {};
+    completion.split('\n').forEach((line) => {
+        const match = line.match(/(\d+)\s*[:.)-]\s*\**\s*(supported|unsupported)/i);
+        if (match) {
+            checked[parseInt(match[1], 10)] = match[2].toLowerCase();
+        }
+    });
+    let count = 0;
+    const verdicts = parts.map(({ text, citations }) => {
+        const verdict = (citations.length === 0) ? 'uncited' : checked[++count] || 'unknown';
+        return { sentence: strip(text), citations, verdict };
+    });
+    const unsupported = verdicts.filter(({ verdict }) => verdict === 'unsupported').length;
+    LLM_DEBUG_CHAT && console.log(`-->${GREEN}${JSON.stringify(verdicts, null, 2)}`);
+
+    const removing = VERIFY_CITATIONS === 'remove' && unsupported < cited.length;
+    const revised = parts
+        .map(({ text }, i) => {
+            if (verdicts[i].verdict !== 'unsupported') {
+                return text;
+            }
+            return removing ? null : text.replace(/((?:\s*[\[\(]citation[:\s]\d+[\]\)])*[.!?]?(?:\s*[\[\(]citation[:\s]\d+[\]\)])*)$/, ' (unverified)$1');
+        })
+        .filter((text) => text !== null)
+        .join(' ');
+    leave && leave('Verify', { verdicts, unsupported, usage });
+    return { ...context, answer: unsupported > 0 ? revised : answer, verdicts };
+};
+
+/**
+ * Wraps a pipeline stage to be traced in its own span: the context fields are the input,
+ * the new or changed fields are the output, and every finished stage (see `leave`) is an event.
+ *
+ * @param {function(Context): Promise<Context>} fn - The pipeline stage.
+ * @returns {function(Context): Promise<Context>} The traced pipeline stage.
+ */
+const staged = (fn) => {
+    if (!tracing) {
+        return fn;
+    }
+    const name = fn.name[0].toUpperCase() + fn.name.substring(1);
+    return (context) => {
+        const { delegates = {}, history, ...input } = context;
+        return trace(name, { input }, async (span) => {
+            const leave = (name, fields) => {
+                span.events.push({ name, timestamp: Date.now(), attributes: { ...fields } });
+                delegates.leave && delegates.leave(name, fields);
+            };
+            const result = await fn({ ...context, delegates: { ...delegates, leave } });
+            const output = {};
+            Object.keys(result)
+                .filter((key) => key !== 'delegates' && key !== 'history' && result[key] !== context[key])
+                .forEach((key) => (output[key] = result[key]));
+            span.attributes.output = output;
+            return { ...result, delegates };
+        });
+    };
+};
+
+/**
+ * Runs the complete pipeline: reason, act (search or use another tool), iterate (more searches if necessary),
+ * read, respond, and verify (the citations of the answer). Every run is traced (see `trace`).
+ *
+ * @param {Context} context - Initial pipeline context.
+ * @returns {Promise<Context>} Final pipeline context.
+ */
+const research = (context) => {
+    const { inquiry, history = [] } = context;
+    return trace('Research', { inquiry, turns: history.length }, async (span) => {
+        const stages = [reason, act, iterate, read, respond, verify].map(staged);
+        const result = await pipe(...stages)(context);
+        span.attributes.answer = result.answer;
+        return result;
+    });
 };
 
 /**
@@ -881,6 +3122,12 @@ const review = (stages) => {
             return `${BLUE}[${position}]${NORMAL} ${BOLD}${title} ${GRAY}(${url})${NORMAL}\n${snippet}`;
         }).join('\n');
     };
+    const judge = (verdicts) => {
+        return '\n' + verdicts.map(({ sentence, citations, verdict }) => {
+            const color = (verdict === 'supported') ? GREEN : (verdict === 'unsupported') ? RED : GRAY;
+            return `${color}${verdict}${NORMAL} ${sentence} ${GRAY}${JSON.stringify(citations)}${NORMAL}`;
+        }).join('\n');
+    };
 
     let buffer = 'Pipeline review:\n';
     console.log();
@@ -893,11 +3140,18 @@ const review = (stages) => {
         Object.keys(fields).map((key) => {
             const value = fields[key];
             const str = (key === 'references') ? cite(value)
+                : (key === 'verdicts') ? judge(value)
+                : (key === 'usage') ? tokens(value)
                 : Array.isArray(value) ? JSON.stringify(value, null, 2) : value?.toString();
             console.log(`${GRAY}${key}: ${NORMAL}${str}`);
             buffer += `${key}: ${str}\n`;
         });
     });
+    const total = tally(stages.map(({ usage }) => usage));
+    if (total) {
+        console.log(`${MAGENTA}Total usage: ${NORMAL}${tokens(total)}`);
+        buffer += `\nTotal usage: ${tokens(total)}\n`;
+    }
     console.log();
     return buffer;
 };
@@ -1045,6 +3299,7 @@ const evaluate = async (filename) => {
         let history = [];
         let total = 0;
         let failures = 0;
+        let spent = null;
 
         const handle = async (line) => {
             const parts = line && line.length > 0 ? line.split(':') : [];
@@ -1071,9 +3326,9 @@ const evaluate = async (filename) => {
                     console.log();
                     process.stdout.write(`  ${inquiry}\r`);
                     const start = Date.now();
-                    const pipeline = pipe(reason, search, respond);
-                    const result = await pipeline(context);
+                    const result = await research(context);
                     const duration = Date.now() - start;
+                    spent = tally([spent, ...stages.map(({ usage }) => usage)]);
                     const { topic, language, thought, keyphrases, references, answer } = result;
                     history.push({
                         inquiry,
@@ -1087,6 +3342,10 @@ const evaluate = async (filename) => {
                         stages
                     });
                     ++total;
+                } else if (role === 'Answer') {
+                    // a given answer (without running the pipeline), e.g. to check how it is split into sentences
+                    history.push({ inquiry: content, answer: content, references: [], duration: 0, stages: [] });
+                    ++total;
                 } else if (role === 'Assistant') {
                     const expected = content;
                     const last = history.slice(-1).pop();
@@ -1122,15 +3381,16 @@ const evaluate = async (filename) => {
                             LLM_DEBUG_FAIL_EXIT && process.exit(-1);
                         }
                     }
-                } else if (role === 'Pipeline.Reason.Keyphrases' || role === 'Pipeline.Reason.Language') {
+                } else if (['Pipeline.Reason.Keyphrases', 'Pipeline.Reason.Language', 'Pipeline.Verify.Sentences'].includes(role)) {
                     const expected = content;
                     const last = history.slice(-1).pop();
                     if (!last) {
                         console.error('There is no answer yet!');
                         process.exit(-1);
                     } else {
-                        const { keyphrases, language, stages } = last;
-                        const target = role === 'Pipeline.Reason.Keyphrases' ? keyphrases : language;
+                        const { keyphrases, language, answer, stages } = last;
+                        const target = (role === 'Pipeline.Verify.Sentences') ? sentences(answer).map(({ text }) => text).join('\n')
+                            : (role === 'Pipeline.Reason.Keyphrases') ? keyphrases : language;
                         const regexes = regexify(expected);
                         const matches = match(target, regexes);
                         if (matches.length === regexes.length) {
@@ -1164,6 +3424,7 @@ const evaluate = async (filename) => {
         for (const i in lines) {
             await handle(lines[i]);
         }
+        spent && console.log(`${GRAY}Usage: ${tokens(spent)}${NORMAL}`);
         if (failures <= 0) {
             console.log(`${GREEN}${CHECK}${NORMAL} SUCCESS: ${GREEN}${total} test(s)${NORMAL}.`);
         } else {
@@ -1231,6 +3492,236 @@ const flush = (display) => {
     return { buffer: '', refs: [], print, cite };
 };
 
+let archive = null;
+
+/**
+ * Loads all stored conversations from GAMAL_STORAGE (a JSONL file, one turn per line).
+ * Turns beyond the retention limits are dropped, and the file is rewritten accordingly.
+ * If the file cannot be read or rewritten, the conversations are only kept in memory.
+ *
+ * @return {Object.<string, Array<object>>} The turns of every conversation.
+ */
+const load = () => {
+    if (archive) {
+        return archive;
+    }
+    archive = {};
+    if (!GAMAL_STORAGE || !fs.existsSync(GAMAL_STORAGE)) {
+        return archive;
+    }
+    const deadline = Date.now() - GAMAL_STORAGE_MAX_DAYS * 24 * 60 * 60 * 1000;
+    try {
+        fs.readFileSync(GAMAL_STORAGE, 'utf-8').split('\n').forEach((line) => {
+            if (line.trim().length > 0) {
+                const turn = unJSON(line);
+                const { conversation, timestamp } = turn;
+                if (conversation && timestamp >= deadline) {
+                    archive[conversation] = archive[conversation] || [];
+                    archive[conversation].push(turn);
+                }
+            }
+        });
+        Object.keys(archive).forEach((conversation) => {
+            archive[conversation] = archive[conversation].slice(-GAMAL_STORAGE_MAX_TURNS);
+        });
+        save();
+    } catch (e) {
+        console.error(`Unable to load the stored conversations: ${e.toString()}`);
+    }
+    return archive;
+};
+
+/**
+ * Writes all the conversations (in memory) to GAMAL_STORAGE.
+ */
+const save = () => {
+    if (!GAMAL_STORAGE) {
+        return;
+    }
+    const lines = Object.values(archive).flat().map((turn) => JSON.stringify(turn) + '\n');
+    fs.mkdirSync(path.dirname(GAMAL_STORAGE), { recursive: true });
+    fs.writeFileSync(GAMAL_STORAGE + '.tmp', lines.join(''));
+    fs.renameSync(GAMAL_STORAGE + '.tmp', GAMAL_STORAGE);
+};
+
+/**
+ * Retrieves the stored history of a conversation.
+ *
+ * @param {string} conversation - The conversation identifier.
+ * @return {Array<object>} The turns of the conversation, from the oldest.
+ */
+const recall = (conversation) => {
+    const turns = load()[conversation] || [];
+    return turns.map(({ conversation, timestamp, ...turn }) => turn);
+};
+
+/**
+ * Stores a new turn of a conversation.
+ *
+ * @param {string} conversation - The conversation identifier.
+ * @param {Object} turn - The inquiry, answer, references, stages, etc.
+ */
+const remember = (conversation, turn) => {
+    if (!GAMAL_STORAGE) {
+        return;
+    }
+    const turns = load()[conversation] || [];
+    const entry = { conversation, timestamp: Date.now(), ...turn };
+    turns.push(entry);
+    archive[conversation] = turns;
+    try {
+        if (turns.length > GAMAL_STORAGE_MAX_TURNS) {
+            archive[conversation] = turns.slice(-GAMAL_STORAGE_MAX_TURNS);
+            save();
+        } else {
+            fs.mkdirSync(path.dirname(GAMAL_STORAGE), { recursive: true });
+            fs.appendFileSync(GAMAL_STORAGE, JSON.stringify(entry) + '\n');
+        }
+    } catch (e) {
+        console.error(`Unable to store the conversation: ${e.toString()}`);
+    }
+};
+
+/**
+ * Deletes a stored conversation.
+ *
+ * @param {string} conversation - The conversation identifier.
+ * @return {boolean} true if the conversation was stored (and is now deleted).
+ */
+const forget = (conversation) => {
+    const stored = Boolean(load()[conversation]);
+    if (stored) {
+        delete archive[conversation];
+        try {
+            save();
+        } catch (e) {
+            console.error(`Unable to delete the conversation: ${e.toString()}`);
+        }
+    }
+    return stored;
+};
+
+/**
+ * Lists all stored conversations.
+ *
+ * @return {Array<object>} The identifier, number of turns, and last activity of every conversation.
+ */
+const conversations = () => {
+    return Object.entries(load()).map(([conversation, turns]) => {
+        const { timestamp } = turns.slice(-1).pop();
+        return { conversation, turns: turns.length, timestamp };
+    });
+};
+
+/**
+ * Switches to the named profile from the config file, without restarting.
+ * Without a name, lists the available profiles instead.
+ * Note that the settings are global, thus switching affects every conversation.
+ * The command-line flags still take precedence over the settings of the profile.
+ *
+ * @param {string} name - The name of the profile.
+ * @returns {string} The outcome, to be shown to the user.
+ */
+const choose = (name) => {
+    const { file, profiles } = CONFIG;
+    const names = Object.keys(profiles);
+    if (names.length === 0) {
+        return file ? `There is no profile in ${file}.` : 'There is no config file with profiles.';
+    }
+    if (!name) {
+        const list = names.map((key) => (key === PROFILE) ? `${key} (active)` : key);
+        return `Available profiles: ${list.join(', ')}.`;
+    }
+    if (!profiles[name]) {
+        return `There is no profile ${name}! (available: ${names.join(', ')})`;
+    }
+
+    const previous = PROFILE;
+    enable(name, FLAGGED);
+    settle();
+    const problem = !SEARCH_PROVIDERS[SEARCH_PROVIDER] ? `unknown search provider ${SEARCH_PROVIDER}`
+        : (SEARCH_PROVIDER === 'custom' && !SEARCH_API_URL) ? 'SEARCH_API_URL is required for the custom search provider'
+            : (SEARCH_PROVIDER === 'local' && !(SEARCH_LOCAL_PATH && fs.existsSync(SEARCH_LOCAL_PATH) && fs.statSync(SEARCH_LOCAL_PATH).isDirectory())) ? 'SEARCH_LOCAL_PATH must point to a directory of documents'
+                : !LLM_ADAPTERS[vendor()] ? `unknown LLM API provider ${vendor()}` : null;
+    if (problem) {
+        enable(previous, FLAGGED);
+        settle();
+        return `Unable to switch to profile ${name}: ${problem}!`;
+    }
+    return `Switched to profile ${name} (model: ${LLM_CHAT_MODEL || 'default'}, search: ${SEARCH_PROVIDER}).`;
+};
+
+/**
+ * Checks whether a user of a chat frontend (Telegram or Matrix) may list and switch the profiles,
+ * i.e. whether the user ID is listed in GAMAL_ADMINS.
+ *
+ * @param {string|number} user - The user ID.
+ * @returns {boolean} true if the user is an administrator.
+ */
+const admin = (user) => GAMAL_ADMINS.includes(String(user));
+
+/**
+ * Answers a single inquiry and prints the answer to stdout, either as plain text
+ * (followed by the cited references) or as JSON (in the same shape as /api/chat).
+ *
+ * @param {string} inquiry - The inquiry to answer.
+ * @param {string} format - The output format, 'text' or 'json'.
+ */
+const ask = async (inquiry, format = 'text') => {
+    const json = format === 'json';
+    const print = (text) => process.stdout.write(text);
+    const cite = (citation) => `[${citation}]`;
+    let display = { buffer: '', refs: [], print: json ? null : print, cite };
+
+    const stages = [];
+    const enter = (name) => {
+        stages.push({ name, timestamp: Date.now() });
+    };
+    const leave = (name, fields) => {
+        stages.push({ name, timestamp: Date.now(), ...fields });
+    };
+    const stream = json ? null : (text) => (display = push(display, text));
+    const delegates = { enter, leave, stream };
+    const context = { inquiry, history: [], delegates };
+    const start = Date.now();
+    const result = await research(context);
+    const duration = Date.now() - start;
+
+    let answer = '';
+    json && (display = push({ ...display, print: (text) => (answer += text) }, result.answer));
+    const refs = display.refs.slice();
+    flush(display);
+
+    const { language, topic, keyphrases, references = [], verdicts } = result;
+    const citations = refs
+        .map((ref, i) => ({ ref, index: i + 1 }))
+        .filter(({ ref }) => references[ref - 1] && references[ref - 1].url)
+        .map(({ ref, index }) => {
+            const { url, title, snippet } = references[ref - 1];
+            return { index, url, title, snippet };
+        });
+    if (json) {
+        const usage = tally(stages.map(({ usage }) => usage));
+        const data = {
+            inquiry, answer: answer.trim(), citations, verdicts,
+            language, topic, keyphrases, duration, usage, stages: simplify(stages)
+        };
+        console.log(JSON.stringify(data, null, 2));
+    } else {
+        console.log();
+        if (citations.length > 0) {
+            console.log();
+            citations.forEach(({ index, url }) => console.log(`[${index}] ${url}`));
+        }
+        const unsupported = (verdicts || []).filter(({ verdict }) => verdict === 'unsupported');
+        if (unsupported.length > 0) {
+            console.log();
+            console.log('Not supported by the references:');
+            unsupported.forEach(({ sentence }) => console.log(`* ${sentence}`));
+        }
+    }
+};
+
 /**
  * Interacts with the user in the terminal, asking for inquiries and providing answers.
  * The function uses readline to read user input and prints the output to the console.
@@ -1242,7 +3733,9 @@ const interact = async () => {
     const cite = (citation) => `${GRAY}[${citation}]${NORMAL}`;
     let display = { buffer: '', refs: [], print, cite };
 
-    let history = [];
+    const conversation = 'terminal';
+    let history = recall(conversation);
+    let spent = null;
 
     let loop = true;
     const io = readline.createInterface({ input: process.stdin, output: process.stdout });
@@ -1252,6 +3745,9 @@ const interact = async () => {
     console.log();
 
     let asr = null;
+    let narrator = null;
+
+    const interrupt = () => narrator && narrator.stop();
 
     const prepare = async () => {
         asr = listen(async (text) => {
@@ -1259,12 +3755,13 @@ const interact = async () => {
             await answer(text);
             process.stdout.write(`${YELLOW}>> ${CYAN} ***`);
             loop && setImmediate(setup);
-        });
+        }, interrupt);
         return asr;
     };
 
     const answer = async (inquiry) => {
         process.stdout.write(NORMAL);
+        interrupt();
         if (asr) {
             try {
                 asr.kill();
@@ -1273,8 +3770,34 @@ const interact = async () => {
 
         if (inquiry === '!reset' || inquiry === '/reset') {
             history = [];
+            forget(conversation);
             console.log('History cleared.');
             console.log();
+        } else if (inquiry === '!conversations' || inquiry === '/conversations') {
+            const list = conversations();
+            if (list.length === 0) {
+                console.log('No stored conversations.');
+            }
+            list.forEach(({ conversation, turns, timestamp }) => {
+                const time = new Date(timestamp).toISOString();
+                console.log(`${CYAN}${conversation}${NORMAL} ${GRAY}(${turns} turns, last at ${time})${NORMAL}`);
+            });
+            console.log();
+        } else if (inquiry.startsWith('!delete ') || inquiry.startsWith('/delete ')) {
+            const id = inquiry.substring(8).trim();
+            if (forget(id)) {
+                (id === conversation) && (history = []);
+                console.log(`Conversation ${id} deleted.`);
+            } else {
+                console.log(`There is no conversation ${id}!`);
+            }
+            console.log();
+        } else if (/^[!/]profile(\s|$)/.test(inquiry)) {
+            console.log(choose(inquiry.substring(8).trim()));
+            console.log();
+        } else if (inquiry === '!usage' || inquiry === '/usage') {
+            console.log(`Usage in this session: ${tokens(spent)}.`);
+            console.log();
         } else if (inquiry === '!review' || inquiry === '/review') {
             const last = history.slice(-1).pop();
             if (!last) {
@@ -1288,33 +3811,49 @@ const interact = async () => {
             const stages = [];
             const update = (stage, fields) => {
                 if (stage === 'Reason') {
-                    const { keyphrases } = fields;
-                    if (keyphrases && keyphrases.length > 0) {
+                    const { tool, keyphrases } = fields;
+                    if (tool === 'Google' && keyphrases && keyphrases.length > 0) {
                         console.log(`${GRAY}${ARROW} Searching for ${keyphrases}...${NORMAL}`);
+                    } else if (tool !== 'None') {
+                        console.log(`${GRAY}${ARROW} Using ${tool}: ${keyphrases}...${NORMAL}`);
                     }
                 }
             };
 
-            const stream = (text) => (display = push(display, text));
+            // the answer is spoken sentence by sentence, as soon as its language is known
+            let spoken = null;
+            const stream = (text) => {
+                display = push(display, text);
+                narrator = narrator || narrate(iso6391(spoken) || 'en');
+                narrator.feed(text);
+            };
             const enter = (name) => {
                 stages.push({ name, timestamp: Date.now() });
             };
             const leave = (name, fields) => {
                 update(name, fields);
+                (name === 'Reason') && (spoken = fields.language);
                 stages.push({ name, timestamp: Date.now(), ...fields });
             };
+            narrator = null;
             const delegates = { stream, enter, leave };
             const context = { inquiry, history, delegates };
             const start = Date.now();
-            const pipeline = pipe(reason, search, respond);
-            const result = await pipeline(context);
+            const result = await research(context);
             const refs = display.refs.slice();
             display = flush(display);
             const { topic, thought, keyphrases } = result;
             const duration = Date.now() - start;
             const { answer, language, references } = result;
-            await speak(answer, iso6391(language) || 'en');
-            await prepare();
+            // unless it is fine to be interrupted (with headphones), listen only once the answer is spoken,
+            // lest the microphone picks up the speaker
+            const speaker = narrator;
+            if (speaker && !ASR_INTERRUPT) {
+                speaker.finish().then(() => loop && (narrator === speaker) && prepare());
+            } else {
+                speaker && speaker.finish();
+                await prepare();
+            }
             if (references && Array.isArray(references)) {
                 if (references.length > 0 && references.length >= refs.length) {
                     console.log();
@@ -1327,7 +3866,17 @@ const interact = async () => {
                     });
                 }
             }
-            history.push({ inquiry, thought, keyphrases, topic, answer, duration, stages });
+            const { verdicts = [] } = result;
+            const unsupported = verdicts.filter(({ verdict }) => verdict === 'unsupported');
+            if (unsupported.length > 0) {
+                console.log();
+                console.log(`${RED}Not supported by the references:${NORMAL}`);
+                unsupported.forEach(({ sentence }) => console.log(`${GRAY}* ${sentence}${NORMAL}`));
+            }
+            const turn = { inquiry, thought, keyphrases, topic, language, references, answer, duration, stages };
+            history.push(turn);
+            remember(conversation, turn);
+            spent = tally([spent, ...stages.map(({ usage }) => usage)]);
             console.log();
         }
     };
@@ -1355,27 +3904,456 @@ const interact = async () => {
  * @param {number} port - The port number to listen on.
  */
 const serve = async (port) => {
-    let history = [];
+    const sessions = {};
 
+    /**
+     * Extracts the inquiry from the URL, either from the `q` parameter
+     * or (for backward compatibility) from the entire query string.
+     */
     const decode = (url) => {
         const parsedUrl = new URL(`http://localhost/${url}`);
-        const { search } = parsedUrl;
+        const { search, searchParams } = parsedUrl;
+        if (searchParams.has('q')) {
+            return searchParams.get('q').trim();
+        }
         return decodeURIComponent(search.substring(1)).trim();
     };
 
+    /**
+     * Finds the session of the client, based on the `session` URL parameter
+     * or the session cookie. If there is none yet (or it has expired), a new session is started.
+     */
+    const identify = (request, response) => {
+        const { url, headers } = request;
+        const { searchParams } = new URL(`http://localhost/${url}`);
+        const cookies = (headers.cookie || '').split(';').map((cookie) => cookie.trim().split('='));
+        const [, cookie] = cookies.find(([name]) => name === 'gamal_session') || [];
+        const requested = searchParams.get('session') || cookie;
+        const id = (requested && /^[\w-]{8,64}$/.test(requested)) ? requested : crypto.randomUUID();
+        if (!sessions[id]) {
+            sessions[id] = { id, history: recall(`http:${id}`), usage: null };
+        }
+        const session = sessions[id];
+        session.timestamp = Date.now();
+        response.setHeader('Set-Cookie', `gamal_session=${id}; Path=/; HttpOnly; SameSite=Strict`);
+        return session;
+    };
+
+    const expire = () => {
+        const deadline = Date.now() - GAMAL_SESSION_TIMEOUT * 60 * 1000;
+        Object.keys(sessions)
+            .filter((id) => sessions[id].timestamp < deadline)
+            .forEach((id) => delete sessions[id]);
+    };
+    setInterval(expire, 60 * 1000).unref();
+
+    /**
+     * Runs the pipeline for an inquiry within a session, and records the turn in its history.
+     * The answer, with renumbered citations, is streamed to `print`, while every finished stage
+     * is reported to the optional `notify` (as well as the position in the queue, while waiting).
+     * Without `print`, nothing is streamed and only the final (possibly verified) answer is rendered.
+     * The result includes the rendered answer (`reply`), the cited references (`citations`),
+     * the stages, the total duration, and the token usage (also added to the session tally).
+     */
+    const converse = async (session, inquiry, print, notify) => {
+        const cite = (citation) => `[${citation}]`;
+        let reply = '';
+        const render = (text) => {
+            reply += text;
+            print && print(text);
+        };
+        let display = { buffer: '', refs: [], print: render, cite };
+
+        const stages = [];
+        const enter = (name) => {
+            stages.push({ name, timestamp: Date.now() });
+        };
+        const leave = (name, fields) => {
+            stages.push({ name, timestamp: Date.now(), ...fields });
+            notify && notify(name, fields);
+        };
+        const stream = print ? (text) => (display = push(display, text)) : null;
+        const delegates = { enter, leave, stream };
+        const { history } = session;
+        const context = { inquiry, history, delegates };
+        const wait = (position) => notify && notify('Queue', { position });
+        let start = Date.now();
+        let result;
+        try {
+            result = await schedule(() => {
+                start = Date.now();
+                return research(context);
+            }, wait);
+        } catch (e) {
+            measure(stages, true);
+            throw e;
+        }
+        measure(stages);
+        print || (display = push(display, result.answer));
+        const refs = display.refs.slice();
+        flush(display);
+        const duration = Date.now() - start;
+
+        const { topic, language, thought, keyphrases, answer, references = [] } = result;
+        const citations = refs
+            .map((ref, i) => ({ ref, index: i + 1 }))
+            .filter(({ ref }) => references[ref - 1] && references[ref - 1].url)
+            .map(({ ref, index }) => {
+                const { url, title, snippet } = references[ref - 1];
+                return { index, url, title, snippet };
+            });
+        const turn = { inquiry, thought, keyphrases, topic, language, references, answer, duration, stages };
+        history.push(turn);
+        remember(`http:${session.id}`, turn);
+        const usage = tally(stages.map(({ usage }) => usage));
+        session.usage = tally([session.usage, usage]);
+        return { ...result, reply: reply.trim(), citations, stages, duration, usage };
+    };
+
+    /**
+     * Reads the entire request body (up to 1 MB) and parses it as JSON.
+     */
+    const receive = async (request) => {
+        let body = '';
+        for await (const chunk of request) {
+            body += chunk;
+            if (body.length > 1024 * 1024) {
+                throw new RangeError('Request body is too large');
+            }
+        }
+        return JSON.parse(body);
+    };
+
+    /**
+     * Applies the rate limit to the client (by its address, within the scope), and if it has to wait,
+     * sets the Retry-After header accordingly.
+     */
+    const limit = (request, response, scope = 'ip') => {
+        const delay = throttle(`${scope}:${request.socket.remoteAddress}`);
+        (delay > 0) && response.setHeader('Retry-After', delay);
+        return delay;
+    };
+
+    /**
+     * Handles a chat completion request compatible with OpenAI API.
+     * The last user message is the inquiry, earlier messages become the conversation history.
+     * The cited references are attached as `references` (in the last chunk, if streaming).
+     */
+    const complete = async (request, response) => {
+        const fail = (status, message, type = 'invalid_request_error') => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: { message, type } }));
+        };
+
+        let payload;
+        try {
+            payload = await receive(request);
+        } catch (e) {
+            return fail(400, `Invalid request: ${e.message}`);
+        }
+        const valid = (message) => message && typeof message === 'object' &&
+            (typeof message.content === 'string' || Array.isArray(message.content));
+        if (!payload || typeof payload !== 'object' || !Array.isArray(payload.messages) || !payload.messages.every(valid)) {
+            return fail(400, 'Invalid request: messages must be an array of objects with a string or array content');
+        }
+        const { messages } = payload;
+        const streaming = payload.stream === true;
+        const text = (content) => Array.isArray(content) ?
+            content.filter((part) => part && part.type === 'text').map((part) => String(part.text || '')).join('\n') : content;
+        const dialog = messages
+            .filter(({ role }) => role === 'user' || role === 'assistant')
+            .map(({ role, content }) => ({ role, content: text(content).trim() }));
+        const last = dialog.pop();
+        if (!last || last.role !== 'user' || last.content.length === 0) {
+            return fail(400, 'The last message must come from the user');
+        }
+        const delay = limit(request, response);
+        if (delay > 0) {
+            return fail(429, `Too many requests, please try again in ${delay} seconds`, 'rate_limit_exceeded');
+        }
+        const history = [];
+        dialog.forEach(({ role, content }) => {
+            if (role === 'user') {
+                history.push({ inquiry: content, answer: '' });
+            } else if (history.length > 0) {
+                history[history.length - 1].answer = content;
+            }
+        });
+
+        const id = 'chatcmpl-' + crypto.randomUUID();
+        const created = Math.floor(Date.now() / 1000);
+        const model = 'gamal';
+        const chunk = (delta, finish_reason = null, extra = {}) => {
+            const choices = [{ index: 0, delta, finish_reason }];
+            const data = { id, object: 'chat.completion.chunk', created, model, choices, ...extra };
+            response.write(`data: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const inquiry = last.content;
+        console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
+        let content = '';
+        const print = (text) => {
+            if (streaming) {
+                (text.length > 0) && chunk({ content: text });
+            } else {
+                content += text;
+            }
+        };
+        const cite = (citation) => `[${citation}]`;
+        let display = { buffer: '', refs: [], print, cite };
+        if (streaming) {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            chunk({ role: 'assistant', content: '' });
+        }
+
+        try {
+            const stages = [];
+            const enter = (name) => {
+                stages.push({ name, timestamp: Date.now() });
+            };
+            const leave = (name, fields) => {
+                stages.push({ name, timestamp: Date.now(), ...fields });
+            };
+            const stream = (text) => (display = push(display, text));
+            const delegates = streaming ? { enter, leave, stream } : { enter, leave };
+            const context = { inquiry, history, delegates };
+            const { answer, references = [] } = await schedule(() => research(context)).catch((e) => {
+                measure(stages, true);
+                throw e;
+            });
+            measure(stages);
+            streaming || (display = push(display, answer));
+            const refs = display.refs.slice();
+            flush(display);
+            console.log(answer);
+            console.log();
+            const cited = refs
+                .map((ref, i) => ({ ref, index: i + 1 }))
+                .filter(({ ref }) => references[ref - 1] && references[ref - 1].url)
+                .map(({ ref, index }) => {
+                    const { url, title, snippet } = references[ref - 1];
+                    return { index, url, title, snippet };
+                });
+            const { prompt_tokens = 0, completion_tokens = 0 } = tally(stages.map(({ usage }) => usage)) || {};
+            const usage = { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+            if (streaming) {
+                chunk({}, 'stop', { references: cited, usage });
+                response.write('data: [DONE]\n\n');
+                response.end();
+            } else {
+                const message = { role: 'assistant', content: content.trim() };
+                const choices = [{ index: 0, message, finish_reason: 'stop' }];
+                const data = { id, object: 'chat.completion', created, model, choices, usage, references: cited };
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(data));
+            }
+        } catch (e) {
+            console.error(`Unable to complete the chat: ${e.toString()}`);
+            if (streaming) {
+                response.write(`data: ${JSON.stringify({ error: { message: e.toString(), type: 'server_error' } })}\n\n`);
+                response.end();
+            } else {
+                fail(500, e.toString(), 'server_error');
+            }
+        }
+    };
+
+    /**
+     * Transcribes the recorded audio in the request body (up to 25 MB), e.g. from the microphone
+     * of the web interface. The format of the audio is given by its content type.
+     * The transcriptions share the queue with the inquiries, and are rate-limited on their own.
+     */
+    const dictate = async (request, response) => {
+        const reply = (status, data) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(data));
+        };
+        if (!ASR_API_BASE_URL) {
+            return reply(503, { error: 'Speech recognition is not available' });
+        }
+        const delay = limit(request, response, 'asr');
+        if (delay > 0) {
+            return reply(429, { error: `Too many recordings, please try again in ${delay} seconds` });
+        }
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of request) {
+                size += chunk.length;
+                if (size > 25 * 1024 * 1024) {
+                    return reply(413, { error: 'Audio is too large' });
+                }
+                chunks.push(chunk);
+            }
+        } catch (e) {
+            console.error(`Unable to receive the audio: ${e.toString()}`);
+            return;
+        }
+        if (size === 0) {
+            return reply(400, { error: 'Missing audio' });
+        }
+        const type = (request.headers['content-type'] || 'audio/webm').split(';')[0].trim();
+        const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a' };
+        try {
+            const text = await schedule(() => transcribe(new Blob(chunks, { type }), `speech.${EXTENSIONS[type] || 'webm'}`));
+            reply(200, { text });
+        } catch (e) {
+            console.error(`Unable to transcribe: ${e.toString()}`);
+            reply(502, { error: e.toString() });
+        }
+    };
+
+    const webhook = (GAMAL_TELEGRAM_TOKEN && GAMAL_TELEGRAM_WEBHOOK) ? new URL(GAMAL_TELEGRAM_WEBHOOK).pathname : null;
+    const dispatch = webhook ? dispatcher() : null;
+
+    /**
+     * Receives an update from Telegram as the webhook, provided that it carries the secret token
+     * registered along with the webhook. The update is processed after responding,
+     * since Telegram would otherwise deliver it again while the answer is still being prepared.
+     */
+    const hook = async (request, response) => {
+        const token = request.headers['x-telegram-bot-api-secret-token'] || '';
+        const genuine = crypto.timingSafeEqual(Buffer.from(digest(token)), Buffer.from(digest(GAMAL_TELEGRAM_SECRET)));
+        if (request.method !== 'POST') {
+            response.writeHead(405, { 'Allow': 'POST' }).end();
+        } else if (!genuine) {
+            console.error('Rejected a Telegram update without the secret token');
+            response.writeHead(401).end();
+        } else {
+            let update;
+            try {
+                update = await receive(request);
+            } catch (e) {
+                return response.writeHead(400).end();
+            }
+            response.writeHead(200).end();
+            await dispatch(update);
+        }
+    };
+
+    const ROUTES = ['/', '/index.html', '/health', '/metrics', '/v1/models', '/v1/chat/completions',
+        '/api/chat', '/api/stream', '/api/review', '/api/transcribe', '/chat'].concat(webhook || []);
+
     const server = http.createServer(async (request, response) => {
         const { url } = request;
+        const pathname = url.split('?')[0];
+        const route = ROUTES.find((route) => route === pathname) || 'other';
+        response.on('finish', () => count('gamal_http_requests_total', { route, status: response.statusCode }));
         if (url === '/health') {
             response.writeHead(200).end('OK');
+        } else if (url === '/metrics') {
+            const gauges = { gamal_active_sessions: Object.keys(sessions).length, gamal_queued_inquiries: waiting.length };
+            response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            response.end(exposition(gauges));
+        } else if (webhook && url.split('?')[0] === webhook) {
+            await hook(request, response);
         } else if (url === '/' || url === '/index.html') {
             response.writeHead(200, { 'Content-Type': 'text/html' });
             response.end(fs.readFileSync('./index.html'));
+        } else if (url === '/v1/models') {
+            const data = [{ id: 'gamal', object: 'model', created: 0, owned_by: 'gamal' }];
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ object: 'list', data }));
+        } else if (url === '/v1/chat/completions') {
+            if (request.method !== 'POST') {
+                response.writeHead(405, { 'Allow': 'POST' }).end();
+            } else {
+                await complete(request, response);
+            }
+        } else if (pathname === '/api/chat') {
+            const inquiry = decode(url);
+            const session = identify(request, response);
+            const delay = (inquiry.length > 0) ? limit(request, response) : 0;
+            if (inquiry.length === 0) {
+                response.writeHead(400, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ error: 'Missing inquiry' }));
+            } else if (delay > 0) {
+                response.writeHead(429, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ error: `Too many questions, please try again in ${delay} seconds` }));
+            } else {
+                console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
+                try {
+                    const result = await converse(session, inquiry);
+                    const { reply, language, topic, keyphrases, citations, verdicts, stages, duration, usage } = result;
+                    console.log(reply);
+                    console.log();
+                    const data = {
+                        session: session.id, inquiry, answer: reply, citations, verdicts,
+                        language, topic, keyphrases, duration, usage, stages: simplify(stages)
+                    };
+                    response.writeHead(200, { 'Content-Type': 'application/json' });
+                    response.end(JSON.stringify(data));
+                } catch (e) {
+                    console.error(`Unable to answer: ${e.toString()}`);
+                    response.writeHead(500, { 'Content-Type': 'application/json' });
+                    response.end(JSON.stringify({ error: e.toString() }));
+                }
+            }
+        } else if (pathname === '/api/stream') {
+            const inquiry = decode(url);
+            const session = identify(request, response);
+            const delay = (inquiry.length > 0) ? limit(request, response) : 0;
+            response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            const emit = (event, data) => response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            if (inquiry.length === 0) {
+                emit('error', { message: 'Missing inquiry' });
+                response.end();
+            } else if (delay > 0) {
+                emit('error', { message: `Too many questions, please try again in ${delay} seconds`, retry: delay });
+                response.end();
+            } else {
+                console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
+                try {
+                    const print = (text) => {
+                        process.stdout.write(text);
+                        (text.length > 0) && emit('token', { text });
+                    };
+                    const notify = (name, fields) => emit(name.toLowerCase(), fields);
+                    const { citations, duration, usage } = await converse(session, inquiry, print, notify);
+                    console.log();
+                    console.log();
+                    emit('citations', { citations });
+                    emit('done', { session: session.id, duration, usage });
+                } catch (e) {
+                    console.error(`Unable to answer: ${e.toString()}`);
+                    emit('error', { message: e.toString() });
+                }
+                response.end();
+            }
+        } else if (url === '/api/transcribe') {
+            if (request.method === 'GET') {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ available: Boolean(ASR_API_BASE_URL) }));
+            } else if (request.method !== 'POST') {
+                response.writeHead(405, { 'Allow': 'GET, POST' }).end();
+            } else {
+                await dictate(request, response);
+            }
+        } else if (pathname === '/api/review') {
+            const session = identify(request, response);
+            const last = session.history.slice(-1).pop();
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            if (!last) {
+                response.end(JSON.stringify({ session: session.id, stages: [] }));
+            } else {
+                const { inquiry, answer, stages } = last;
+                response.end(JSON.stringify({ session: session.id, inquiry, answer, stages: simplify(stages) }));
+            }
         } else if (url.startsWith('/chat')) {
             const inquiry = decode(url);
+            const session = identify(request, response);
+            const { history } = session;
             if (inquiry === '/reset') {
-                history = [];
+                session.history = [];
+                forget(`http:${session.id}`);
                 response.write('History cleared.');
                 response.end();
+            } else if (/^\/profile(\s|$)/.test(inquiry)) {
+                response.write('Profiles can not be switched from the web interface.');
+                response.end();
+            } else if (inquiry === '/usage') {
+                response.write(`Usage in this session: ${tokens(session.usage)}.`);
+                response.end();
             } else if (inquiry === '/review') {
                 const last = history.slice(-1).pop();
                 if (!last) {
@@ -1385,47 +4363,32 @@ const serve = async (port) => {
                     response.write(review(simplify(stages)));
                 }
                 response.end();
+            } else if (inquiry.length > 0 && limit(request, response) > 0) {
+                response.writeHead(429, { 'Content-Type': 'text/plain' });
+                response.end('Too many questions, please try again later.');
             } else if (inquiry.length > 0) {
                 console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
                 response.writeHead(200, { 'Content-Type': 'text/plain' });
-
                 const print = (text) => {
                     process.stdout.write(text);
                     response.write(text);
                 };
-                const cite = (citation) => `[${citation}]`;
-                let display = { buffer: '', refs: [], print, cite };
-
-                const stages = [];
-                const enter = (name) => {
-                    stages.push({ name, timestamp: Date.now() });
-                };
-                const leave = (name, fields) => {
-                    stages.push({ name, timestamp: Date.now(), ...fields });
-                };
-                const stream = (text) => (display = push(display, text));
-                const delegates = { enter, leave, stream };
-                const context = { inquiry, history, delegates };
-                const start = Date.now();
-                const pipeline = pipe(reason, search, respond);
-                const { topic, thought, keyphrases, answer, references } = await pipeline(context);
-                const refs = display.refs.slice();
-                flush(display);
-                console.log();
-                if (references && Array.isArray(references) && references.length >= refs.length) {
-                    response.write('\n\n');
+                try {
+                    const { citations } = await converse(session, inquiry, print);
                     console.log();
-                    refs.forEach((ref, i) => {
-                        const entry = references[ref - 1];
-                        if (entry && entry.url) {
-                            response.write(`[${i + 1}] ${entry.url}\n`);
-                            console.log(`[${i + 1}] ${entry.url}`);
-                        }
-                    });
+                    if (citations.length > 0) {
+                        response.write('\n\n');
+                        console.log();
+                        citations.forEach(({ index, url }) => {
+                            response.write(`[${index}] ${url}\n`);
+                            console.log(`[${index}] ${url}`);
+                        });
+                    }
+                } catch (e) {
+                    console.error(`Unable to answer: ${e.toString()}`);
+                    response.write('Sorry, something went wrong. Please try again later.');
                 }
                 response.end();
-                const duration = Date.now() - start;
-                history.push({ inquiry, thought, keyphrases, topic, answer, duration, stages });
             } else {
                 response.writeHead(400).end();
             }
@@ -1437,53 +4400,453 @@ const serve = async (port) => {
     });
     server.listen(port);
     console.log('Listening on port', port);
+
+    if (webhook) {
+        const allowed_updates = ['message', 'callback_query'];
+        const registered = await telegram('setWebhook', { url: GAMAL_TELEGRAM_WEBHOOK, secret_token: GAMAL_TELEGRAM_SECRET, allowed_updates });
+        registered && console.log(`Receiving Telegram updates at ${GAMAL_TELEGRAM_WEBHOOK}`);
+    }
 };
 
 /**
- * Asynchronously polls the Telegram API for updates and processes them.
+ * Formats the given answer by replacing citation references with formatted citations,
+ * which link to the cited references listed at the end.
+ * The text is escaped (or not) for the chosen markup: HTML, MarkdownV2 (of Telegram), or plain text.
+ *
+ * @param {string} answer - The answer to format.
+ * @param {Array} references - The array of references.
+ * @param {string=} mode - Either HTML or MarkdownV2, none for plain text.
+ * @return {string} The formatted answer with citations.
  */
-const poll = async () => {
+const annotate = (answer, references = [], mode) => {
+    const escape = (text) => {
+        if (mode === 'HTML') {
+            return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+        return (mode === 'MarkdownV2') ? text.replace(/[_*\[\]()~`>#+\-=|{}.!\\]/g, '\\$&') : text;
+    };
+    const link = (label, url) => {
+        if (mode === 'HTML') {
+            return `<a href="${escape(url)}">${escape(label)}</a>`;
+        }
+        return (mode === 'MarkdownV2') ? `[${escape(label)}](${url.replace(/[)\\]/g, '\\$&')})` : label;
+    };
+
+    const refs = [];
+    const text = answer.split(/([\[\(]citation[:\s]\d+[\]\)])/i).map((part, i) => {
+        if (i % 2 === 0) {
+            return escape(part);
+        }
+        const num = parseInt(part.match(/\d+/)[0], 10);
+        refs.indexOf(num) < 0 && refs.push(num);
+        const citation = `[${1 + refs.indexOf(num)}]`;
+        const entry = references[num - 1];
+        return (entry && entry.url) ? link(citation, entry.url) : escape(citation);
+    }).join('');
+
+    const listed = refs
+        .map((ref, i) => ({ index: i + 1, entry: references[ref - 1] }))
+        .filter(({ entry }) => entry && entry.url);
+    if (listed.length === 0) {
+        return text;
+    }
+    const lines = listed.map(({ index, entry }) => {
+        const { url, title } = entry;
+        return mode ? `${escape(`[${index}]`)} ${link(title || url, url)}` : `[${index}] ${url}`;
+    });
+    return `${text}\n\n${escape('References:')}\n${lines.join('\n')}`;
+};
+
+/**
+ * Calls a method of the Telegram Bot API.
+ * The parameters are sent as JSON, or as a multipart form if they include a file (e.g. for sendVoice).
+ *
+ * @param {string} method - The name of the method, e.g. sendMessage.
+ * @param {Object|FormData} payload - The parameters of the method.
+ * @return {Promise<Object|null>} The result of the method, or null if it failed.
+ */
+const telegram = async (method, payload) => {
+    const upload = payload instanceof FormData;
+    try {
+        const response = await fetch(`https://api.telegram.org/bot${GAMAL_TELEGRAM_TOKEN}/${method}`, {
+            method: 'POST',
+            headers: upload ? {} : {
+                'Content-Type': 'application/json'
+            },
+            body: upload ? payload : JSON.stringify(payload),
+            signal: AbortSignal.timeout((upload ? 30 : 5) * 1000)
+        });
+        const { ok, result, description } = await response.json();
+        if (!ok) {
+            throw new Error(description || `${response.status} ${response.statusText}`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`Telegram ${method} failed: ${error}`);
+        return null;
+    }
+};
+
+const SUGGEST_PROMPT = `You are given a question and its answer.
+Suggest three follow-up questions which the user may want to ask next.
+Every question must be short (at most 8 words) and written in {LANGUAGE}.
+
+Output one question per line, without any numbering. Do not output anything else.`;
+
+/**
+ * Suggests a few follow-up questions to an answered inquiry.
+ * Like the pipeline, it is meant to run as a scheduled task (see `schedule`).
+ *
+ * @param {Object} turn - The answered inquiry, with its answer and language.
+ * @returns {Promise<{questions: Array<string>, usage: Usage}>} The suggested questions and the token usage.
+ */
+const suggest = async (turn) => {
+    const { inquiry, answer, language = 'English' } = turn;
+    const strip = (text) => text.replace(/\s*[\[\(]citation[:\s]\d+[\]\)]/gi, '');
+    const messages = [];
+    messages.push({ role: 'system', content: SUGGEST_PROMPT.replace('{LANGUAGE}', language) });
+    messages.push({ role: 'user', content: `Question: ${inquiry}\nAnswer: ${strip(answer)}` });
+    return await trace('Suggest', { inquiry }, async (span) => {
+        let usage = null;
+        const meter = (consumed) => (usage = consumed);
+        const completion = await consult(messages, null, null, meter);
+        const questions = completion
+            .split('\n')
+            .map((line) => line.replace(/^\s*((\d+[.)]|[-*•])\s*)+/, '').trim())
+            .filter((line) => line.length > 0 && line.length <= 100)
+            .slice(0, 3);
+        span.attributes.questions = questions;
+        return { questions, usage };
+    });
+};
+
+/**
+ * Creates the handler of the updates from the Telegram API, used for both polling and the webhook.
+ * Every private chat has its own conversation history and usage tally, while in a group chat,
+ * every user has their own. In a group chat, the bot only answers when mentioned or replied to.
+ *
+ * @return {function(Object): Promise<void>} The function to process an update.
+ */
+const dispatcher = () => {
     let state = {};
+    let spent = {};
+    let suggested = {}; // per answer, i.e. chat and message
 
+    const MENU = [
+        { command: 'reset', description: 'Clear the conversation history' },
+        { command: 'review', description: 'Review the steps of the last answer' },
+        { command: 'usage', description: 'Show the token usage in this chat' }
+    ].concat(GAMAL_ADMINS.length > 0 ? { command: 'profile', description: 'List or switch the configuration profiles' } : []);
+    telegram('setMyCommands', { commands: MENU });
+
+    let me = null;
     /**
-     * Formats the given answer by replacing citation references with formatted citations.
-     *
-     * @param {string} answer - The answer to format.
-     * @param {Array} references - The array of references.
-     * @return {string} The formatted answer with citations.
+     * Identifies the bot, to recognize its mentions and replies in group chats.
+     * Until Telegram tells, the next update asks again.
      */
-    const format = (answer, references) => {
-        let buffer = answer;
-        let refs = [];
+    const whoami = async () => {
+        me = me || await telegram('getMe', {});
+        return me;
+    };
 
-        while (true) {
-            const index = buffer.indexOf('[citation:');
-            if (index < 0) {
-                break;
-            }
-            const number = buffer[index + 10];
-            if (number >= '0' && number <= '9') {
-                const num = parseInt(number, 10);
-                if (refs.indexOf(num) < 0) {
-                    refs.push(num);
+    const PARSE_MODES = { html: 'HTML', markdown: 'MarkdownV2' };
+    const parse_mode = PARSE_MODES[GAMAL_TELEGRAM_FORMAT];
+
+    const send = async (id, message, extra = {}) => {
+        const result = await telegram('sendMessage', { chat_id: id, text: message, ...extra });
+        return result ? result.message_id : null;
+    };
+
+    const edit = (id, message_id, message) => telegram('editMessageText', { chat_id: id, message_id, text: message });
+
+    /**
+     * Sends the formatted answer (or puts it into the placeholder message, if there is one).
+     * Should Telegram reject the formatting, the answer is sent as plain text instead.
+     */
+    const deliver = async (id, message_id, answer, references, extra) => {
+        const method = message_id ? 'editMessageText' : 'sendMessage';
+        const link_preview_options = { is_disabled: true };
+        const payload = { chat_id: id, message_id, text: annotate(answer, references, parse_mode), parse_mode, link_preview_options, ...extra };
+        const result = await telegram(method, payload) ||
+            (parse_mode && await telegram(method, { ...payload, text: annotate(answer, references), parse_mode: undefined }));
+        return message_id || (result && result.message_id);
+    };
+
+    /**
+     * Creates the inline keyboard attached to an answer: review, reset, and the suggested follow-up questions.
+     */
+    const keyboard = (questions = []) => {
+        const inline_keyboard = [[
+            { text: 'Review', callback_data: 'review' },
+            { text: 'Reset', callback_data: 'reset' }
+        ]];
+        questions.forEach((question, i) => inline_keyboard.push([{ text: question, callback_data: `ask:${i}` }]));
+        return { inline_keyboard };
+    };
+
+    /**
+     * Answers an inquiry in a chat. While reasoning and searching, the chat shows that the bot is typing.
+     * Once the response starts, a placeholder message is sent and then updated as the answer streams in
+     * (at most once every TELEGRAM_EDIT_INTERVAL), until it is replaced by the final answer.
+     * Afterwards, the suggested follow-up questions are added to the inline keyboard of the answer.
+     */
+    const inquire = async (chat, key, history, inquiry, extra) => {
+        const conversation = `telegram:${key}`;
+
+        let typing = null;
+        const type = () => telegram('sendChatAction', { chat_id: chat.id, action: 'typing' });
+        const idle = () => {
+            clearInterval(typing);
+            typing = null;
+        };
+
+        let placeholder = null;
+        let editing = Promise.resolve();
+        let shown = '';
+        let reply = '';
+        let timer = null;
+        let last = 0;
+        const update = (text) => {
+            editing = editing.then(async () => {
+                const message_id = await placeholder;
+                if (message_id && text.length > 0 && text !== shown) {
+                    shown = text;
+                    await edit(chat.id, message_id, text);
                 }
-                const citation = 1 + refs.indexOf(num);
-                buffer = buffer.substr(0, index) + `[${citation}]` + buffer.substr(index + 12);
+            });
+        };
+        const refresh = () => {
+            timer = null;
+            last = Date.now();
+            update(reply.trim() + ' …');
+        };
+
+        const cite = (citation) => `[${citation}]`;
+        const print = (text) => {
+            reply += text;
+            timer || (timer = setTimeout(refresh, Math.max(0, last + TELEGRAM_EDIT_INTERVAL - Date.now())));
+        };
+        let display = { buffer: '', refs: [], print, cite };
+
+        const stages = [];
+        const enter = (name) => {
+            stages.push({ name, timestamp: Date.now() });
+            if ((name === 'Reason' || name === 'Search') && !typing) {
+                type();
+                typing = setInterval(type, 4 * 1000); // the action lasts 5 seconds
+            } else if (name === 'Respond') {
+                idle();
+                placeholder || (placeholder = send(chat.id, '…', extra));
+            }
+        };
+        const leave = (name, fields) => {
+            stages.push({ name, timestamp: Date.now(), ...fields });
+        };
+        const stream = (text) => (display = push(display, text));
+        const delegates = { enter, leave, stream };
+        console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
+        const context = { inquiry, history, delegates };
+        let queued = false;
+        const wait = (position) => {
+            !queued && send(chat.id, `Many questions are being answered, yours is #${position} in the queue.`, extra);
+            queued = true;
+        };
+        let start = Date.now();
+        let result;
+        try {
+            result = await schedule(() => {
+                start = Date.now();
+                return research(context);
+            }, wait);
+        } catch (error) {
+            // remove the partial answer, the failure is reported (as a new message) by the caller
+            clearTimeout(timer);
+            const message_id = await placeholder;
+            await editing;
+            message_id && await telegram('deleteMessage', { chat_id: chat.id, message_id });
+            throw error;
+        } finally {
+            idle();
+            clearTimeout(timer);
+        }
+        const duration = Date.now() - start;
+        const { topic, language, thought, keyphrases, references, answer } = result;
+        console.log(answer);
+        console.log();
+        const turn = { inquiry, thought, keyphrases, topic, language, references, answer, duration, stages };
+        history.push(turn);
+        remember(conversation, turn);
+        state[key] = history;
+        spent[key] = tally([spent[key], ...stages.map(({ usage }) => usage)]);
+
+        let message_id = await placeholder;
+        await editing;
+        const reply_markup = keyboard();
+        message_id = await deliver(chat.id, message_id, answer, references, message_id ? { reply_markup } : { ...extra, reply_markup });
+        try {
+            const { questions, usage } = await schedule(() => suggest(turn));
+            spent[key] = tally([spent[key], usage]);
+            if (message_id && questions.length > 0) {
+                suggested[`${chat.id}:${message_id}`] = questions;
+                const answers = Object.keys(suggested);
+                answers.length > 1000 && delete suggested[answers[0]];
+                await telegram('editMessageReplyMarkup', { chat_id: chat.id, message_id, reply_markup: keyboard(questions) });
+            }
+        } catch (error) {
+            console.error(`Unable to suggest follow-up questions: ${error}`);
+        }
+        return turn;
+    };
+
+    /**
+     * Downloads a voice note from Telegram and transcribes it.
+     */
+    const hear = async (voice) => {
+        const file = await telegram('getFile', { file_id: voice.file_id });
+        if (!file || !file.file_path) {
+            throw new Error('Unable to locate the voice note');
+        }
+        const url = `https://api.telegram.org/file/bot${GAMAL_TELEGRAM_TOKEN}/${file.file_path}`;
+        const response = await fetch(url, { signal: AbortSignal.timeout(30 * 1000) });
+        if (!response.ok) {
+            throw new Error(`Unable to download the voice note: ${response.status} ${response.statusText}`);
+        }
+        // Telegram names it *.oga, an extension which not every transcription service recognizes
+        return transcribe(await response.blob(), 'voice.ogg');
+    };
+
+    /**
+     * Sends the spoken answer as a voice note (Ogg Opus, as required by Telegram).
+     * Since the answer has been sent as text already, a failure is only logged.
+     */
+    const say = async (id, answer, language, extra) => {
+        try {
+            const response = await synthesize(answer, iso6391(language) || 'en', 'opus');
+            if (!response) {
+                return;
             }
+            const form = new FormData();
+            form.append('chat_id', id);
+            form.append('voice', await response.blob(), 'answer.ogg');
+            extra.reply_parameters && form.append('reply_parameters', JSON.stringify(extra.reply_parameters));
+            await telegram('sendVoice', form);
+        } catch (error) {
+            console.error(`Unable to send the voice note: ${error}`);
         }
+    };
 
-        if (references && Array.isArray(references) && references.length >= refs.length) {
-            buffer += '\n\nReferences:\n';
-            refs.forEach((ref, i) => {
-                const entry = references[ref - 1];
-                if (entry && entry.url) {
-                    buffer += `[${i + 1}] ${entry.url}\n`;
+    /**
+     * Handles a command or an inquiry, either as text or as a voice note, from a user in a chat.
+     * In a group chat, the bot replies to the message at hand (the `target`), to keep the thread clear.
+     */
+    const handle = async (chat, user, text, voice, target) => {
+        const group = chat.type === 'group' || chat.type === 'supergroup';
+        const key = group ? `${chat.id}:${user}` : chat.id;
+        const conversation = `telegram:${key}`;
+        const history = state[key] || recall(conversation);
+        const extra = target ? { reply_parameters: { message_id: target, allow_sending_without_reply: true } } : {};
+        if (text === '/reset') {
+            state[key] = [];
+            forget(conversation);
+            send(chat.id, 'History cleared.', extra);
+        } else if (/^\/profile(\s|$)/.test(text)) {
+            send(chat.id, admin(user) ? choose(text.substring(8).trim()) : 'Sorry, only administrators can switch profiles.', extra);
+        } else if (text === '/usage') {
+            send(chat.id, `Usage ${group ? 'by you in this group' : 'in this chat'}: ${tokens(spent[key])}.`, extra);
+        } else if (text === '/review') {
+            const last = history.slice(-1).pop();
+            if (!last) {
+                send(chat.id, 'Nothing to review yet!', extra);
+            } else {
+                const { stages } = last;
+                send(chat.id, review(simplify(stages)), extra);
+            }
+        } else if (voice && !ASR_API_BASE_URL) {
+            send(chat.id, 'Sorry, voice messages are not supported.', extra);
+        } else if (!voice && typeof text !== 'string') {
+            send(chat.id, 'Please ask a question, either as a text or a voice message.', extra);
+        } else if (throttle(`telegram:${user}`) > 0) {
+            send(chat.id, 'Too many questions! Please wait a minute.', extra);
+        } else {
+            try {
+                const inquiry = voice ? await hear(voice) : text;
+                if (inquiry.length === 0) {
+                    send(chat.id, 'Sorry, I could not make out any words.', extra);
+                } else {
+                    const { answer, language } = await inquire(chat, key, history, inquiry, extra);
+                    voice && TTS_API_BASE_URL && await say(chat.id, answer, language, extra);
                 }
-            });
+            } catch (error) {
+                console.error(`Unable to answer: ${error}`);
+                send(chat.id, 'Sorry, something went wrong. Please try again later.', extra);
+            }
+        }
+    };
+
+    /**
+     * Handles a button of the inline keyboard: review, reset, or one of the suggested follow-up questions.
+     */
+    const press = async (query) => {
+        const { id, from, message, data = '' } = query;
+        if (!message) {
+            return telegram('answerCallbackQuery', { callback_query_id: id });
+        }
+        const { chat, message_id } = message;
+        const group = chat.type === 'group' || chat.type === 'supergroup';
+        const target = group ? message_id : null;
+        if (data === 'review' || data === 'reset') {
+            telegram('answerCallbackQuery', { callback_query_id: id });
+            await handle(chat, from.id, `/${data}`, null, target);
+        } else if (data.startsWith('ask:')) {
+            const question = (suggested[`${chat.id}:${message_id}`] || [])[parseInt(data.substring(4), 10)];
+            telegram('answerCallbackQuery', { callback_query_id: id, text: question || 'This question is no longer available.' });
+            question && await handle(chat, from.id, question, null, target);
+        } else {
+            telegram('answerCallbackQuery', { callback_query_id: id });
+        }
+    };
+
+    /**
+     * Processes an update from the Telegram API: a message, or a button pressed by the user.
+     *
+     * @param {Object} update - The update, see https://core.telegram.org/bots/api#update.
+     * @return {Promise<void>} A promise that resolves when the update is handled.
+     */
+    const dispatch = async (update) => {
+        const { message, callback_query } = update;
+        if (callback_query) {
+            return press(callback_query);
+        }
+        if (!message) {
+            return;
+        }
+        const { chat, from, voice } = message;
+        let { text } = message;
+        const group = chat.type === 'group' || chat.type === 'supergroup';
+        if (group) {
+            const me = await whoami();
+            const username = me ? me.username : null;
+            const mention = username ? new RegExp(`@${username}\\b`, 'gi') : null;
+            const replied = me && message.reply_to_message?.from?.id === me.id;
+            const mentioned = mention && typeof text === 'string' && mention.test(text);
+            if (!replied && !mentioned) {
+                return;
+            }
+            text = mentioned ? text.replace(mention, '').trim() : text;
         }
-        return buffer;
+        await handle(chat, (from && from.id) || chat.id, text, voice, group ? message.message_id : null);
     };
 
+    return dispatch;
+};
+
+/**
+ * Asynchronously polls the Telegram API for updates and processes them.
+ * A previously registered webhook is removed first, since it prevents polling.
+ */
+const poll = async () => {
+    const dispatch = dispatcher();
+
     /**
      * Checks for updates from the Telegram API and processes incoming messages.
      *
@@ -1492,25 +4855,6 @@ const poll = async () => {
      */
     const check = async (offset) => {
         const POLL_URL = `https://api.telegram.org/bot${GAMAL_TELEGRAM_TOKEN}/getUpdates?offset=${offset}`;
-        const SEND_URL = `https://api.telegram.org/bot${GAMAL_TELEGRAM_TOKEN}/sendMessage`;
-
-        const send = async (id, message) => {
-            try {
-                await fetch(SEND_URL, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        chat_id: id,
-                        text: message
-                    }),
-                    signal: AbortSignal.timeout(5 * 1000) // 5 seconds
-                });
-            } catch (error) {
-                console.error(`Unable to send message to ${id}: ${error}`);
-            }
-        };
 
         try {
             const response = await fetch(POLL_URL, {
@@ -1521,45 +4865,9 @@ const poll = async () => {
             } else {
                 const data = await response.json();
                 const { result } = data;
-                result.forEach(async (update) => {
-                    const { message, update_id } = update;
-                    const { text, chat } = message;
-                    const history = state[chat.id] || [];
-                    offset = update_id + 1;
-                    if (text === '/reset') {
-                        state[chat.id] = [];
-                        send(chat.id, 'History cleared.');
-                    } else if (text === '/review') {
-                        const last = history.slice(-1).pop();
-                        if (!last) {
-                            send(chat.id, 'Nothing to review yet!');
-                        } else {
-                            const { stages } = last;
-                            send(chat.id, review(simplify(stages)));
-                        }
-                    } else {
-                        const stages = [];
-                        const enter = (name) => {
-                            stages.push({ name, timestamp: Date.now() });
-                        };
-                        const leave = (name, fields) => {
-                            stages.push({ name, timestamp: Date.now(), ...fields });
-                        };
-                        const delegates = { enter, leave };
-                        const inquiry = text;
-                        console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
-                        const context = { inquiry, history, delegates };
-                        const start = Date.now();
-                        const pipeline = pipe(reason, search, respond);
-                        const result = await pipeline(context);
-                        const duration = Date.now() - start;
-                        const { topic, thought, keyphrases, references, answer } = result;
-                        console.log(answer);
-                        console.log();
-                        history.push({ inquiry, thought, keyphrases, topic, references, answer, duration, stages });
-                        state[chat.id] = history;
-                        send(chat.id, format(answer, references));
-                    }
+                result.forEach((update) => {
+                    offset = update.update_id + 1;
+                    dispatch(update);
                 });
             }
         } catch (error) {
@@ -1571,23 +4879,264 @@ const poll = async () => {
         }
     };
 
+    await telegram('deleteWebhook', {});
     check(0);
 };
 
+/**
+ * Calls an endpoint of the Matrix client-server API of the homeserver (GAMAL_MATRIX_URL).
+ *
+ * @param {string} method - The HTTP method, e.g. GET or PUT.
+ * @param {string} endpoint - The path of the endpoint (after /_matrix/client/v3), including the query string.
+ * @param {Object=} payload - The JSON body of the request.
+ * @param {number=} timeout - The timeout in seconds.
+ * @return {Promise<Object|null>} The response, or null if the call failed.
+ */
+const matrix = async (method, endpoint, payload, timeout = 10) => {
+    const url = `${GAMAL_MATRIX_URL.replace(/\/+$/, '')}/_matrix/client/v3${endpoint}`;
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${GAMAL_MATRIX_TOKEN}`,
+                'Content-Type': 'application/json'
+            },
+            body: payload ? JSON.stringify(payload) : undefined,
+            signal: AbortSignal.timeout(timeout * 1000)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `${response.status} ${response.statusText}`);
+        }
+        return data;
+    } catch (error) {
+        console.error(`Matrix ${method} ${endpoint.split('?')[0]} failed: ${error}`);
+        return null;
+    }
+};
+
+/**
+ * Runs as a Matrix bot: continuously syncs with the homeserver, joins the rooms it is invited to
+ * (and leaves those without anyone else), and answers every text message in the rooms it has joined.
+ * Every room has its own conversation history.
+ * End-to-end encrypted rooms are not supported.
+ */
+const sync = async () => {
+    let state = {};
+    let spent = {};
+    let transaction = 0;
+    let known = new Set(); // the rooms in any previous sync
+    let joined = {}; // when the bot joined, per room (after an invitation)
+
+    const whoami = await matrix('GET', '/account/whoami');
+    if (!whoami) {
+        console.error(`${CROSS} ${RED}Fatal error: unable to log in to ${GAMAL_MATRIX_URL}!${NORMAL}`);
+        process.exit(-1);
+    }
+    const { user_id } = whoami;
+    console.log(`Logged in to ${GAMAL_MATRIX_URL} as ${MAGENTA}${user_id}${NORMAL}.`);
+
+    const room = (id) => `/rooms/${encodeURIComponent(id)}`;
+
+    /**
+     * Sends a notice (i.e. a message from a bot, to which other bots should not respond) to a room,
+     * optionally with an HTML version of the message.
+     */
+    const send = (id, body, formatted_body) => {
+        const content = { msgtype: 'm.notice', body };
+        formatted_body && Object.assign(content, { format: 'org.matrix.custom.html', formatted_body });
+        const txn = `gamal-${Date.now()}-${++transaction}`;
+        return matrix('PUT', `${room(id)}/send/m.room.message/${txn}`, content);
+    };
+
+    const type = (id, typing) => matrix('PUT', `${room(id)}/typing/${encodeURIComponent(user_id)}`, { typing, timeout: 30 * 1000 });
+
+    /**
+     * Answers an inquiry in a room, while showing that the bot is typing.
+     */
+    const inquire = async (id, history, inquiry) => {
+        const conversation = `matrix:${id}`;
+        const stages = [];
+        const enter = (name) => {
+            stages.push({ name, timestamp: Date.now() });
+        };
+        const leave = (name, fields) => {
+            stages.push({ name, timestamp: Date.now(), ...fields });
+        };
+        const delegates = { enter, leave };
+        console.log(`${YELLOW}>> ${CYAN}${inquiry}${NORMAL}`);
+        const context = { inquiry, history, delegates };
+        let queued = false;
+        const wait = (position) => {
+            !queued && send(id, `Many questions are being answered, yours is #${position} in the queue.`);
+            queued = true;
+        };
+        let start = Date.now();
+        type(id, true);
+        let result;
+        try {
+            result = await schedule(() => {
+                start = Date.now();
+                return research(context);
+            }, wait);
+        } finally {
+            type(id, false);
+        }
+        const duration = Date.now() - start;
+        const { topic, language, thought, keyphrases, references, answer } = result;
+        console.log(answer);
+        console.log();
+        const turn = { inquiry, thought, keyphrases, topic, language, references, answer, duration, stages };
+        history.push(turn);
+        remember(conversation, turn);
+        state[id] = history;
+        spent[id] = tally([spent[id], ...stages.map(({ usage }) => usage)]);
+        await send(id, annotate(answer, references), annotate(answer, references, 'HTML').replace(/\n/g, '<br>'));
+    };
+
+    /**
+     * Handles a text message in a room: either a command or an inquiry.
+     */
+    const handle = async (id, sender, text) => {
+        const conversation = `matrix:${id}`;
+        const history = state[id] || recall(conversation);
+        if (text === '/reset') {
+            state[id] = [];
+            forget(conversation);
+            send(id, 'History cleared.');
+        } else if (/^\/profile(\s|$)/.test(text)) {
+            send(id, admin(sender) ? choose(text.substring(8).trim()) : 'Sorry, only administrators can switch profiles.');
+        } else if (text === '/usage') {
+            send(id, `Usage in this room: ${tokens(spent[id])}.`);
+        } else if (text === '/review') {
+            const last = history.slice(-1).pop();
+            if (!last) {
+                send(id, 'Nothing to review yet!');
+            } else {
+                const { stages } = last;
+                send(id, review(simplify(stages)));
+            }
+        } else if (throttle(`matrix:${sender}`) > 0) {
+            send(id, 'Too many questions! Please wait a minute.');
+        } else {
+            try {
+                await inquire(id, history, text);
+            } catch (error) {
+                console.error(`Unable to answer: ${error}`);
+                send(id, 'Sorry, something went wrong. Please try again later.');
+            }
+        }
+    };
+
+    const filter = encodeURIComponent(JSON.stringify({
+        presence: { not_types: ['*'] },
+        account_data: { not_types: ['*'] },
+        room: {
+            timeline: { types: ['m.room.message'] },
+            state: { types: ['m.room.member'], lazy_load_members: true },
+            ephemeral: { not_types: ['*'] },
+            account_data: { not_types: ['*'] }
+        }
+    }));
+
+    /**
+     * Fetches the latest events since the last sync (waiting up to 30 seconds for them) and processes them.
+     * The messages which arrived before the first sync are ignored, and so are the messages
+     * sent before the bot joined a room (which the first sync of that room includes) and the edits.
+     *
+     * @param {string=} since - The token of the last sync.
+     */
+    const check = async (since) => {
+        const query = `?filter=${filter}&timeout=${since ? 30 * 1000 : 0}` + (since ? `&since=${encodeURIComponent(since)}` : '');
+        const data = await matrix('GET', `/sync${query}`, null, 60);
+        if (!data) {
+            setTimeout(() => check(since), 5 * 1000);
+            return;
+        }
+        const { next_batch, rooms = {} } = data;
+        const { invite = {}, join = {}, leave = {} } = rooms;
+        Object.keys(invite).forEach(async (id) => {
+            console.log(`Invited to ${id}, joining...`);
+            joined[id] = Date.now();
+            await matrix('POST', `/join/${encodeURIComponent(id)}`, {});
+        });
+        Object.keys(leave).forEach((id) => {
+            console.log(`No longer in ${id}.`);
+            delete state[id];
+            delete spent[id];
+            delete joined[id];
+            known.delete(id);
+        });
+        Object.keys(join)
+            .filter((id) => join[id].summary && join[id].summary['m.joined_member_count'] === 1)
+            .forEach(async (id) => {
+                console.log(`Everyone else left ${id}, leaving too...`);
+                await matrix('POST', `${room(id)}/leave`, {});
+            });
+        since && Object.keys(join).forEach((id) => {
+            const { timeline = {} } = join[id];
+            const { events = [] } = timeline;
+            const start = known.has(id) ? 0 : (joined[id] || Infinity);
+            const edit = ({ content = {} }) => content['m.relates_to'] && content['m.relates_to'].rel_type === 'm.replace';
+            events
+                .filter(({ type, sender }) => type === 'm.room.message' && sender !== user_id)
+                .filter(({ origin_server_ts = 0 }) => origin_server_ts >= start)
+                .filter(({ content = {} }) => content.msgtype === 'm.text' && typeof content.body === 'string')
+                .filter((event) => !edit(event))
+                .forEach(({ sender, content }) => handle(id, sender, content.body.trim()));
+        });
+        Object.keys(join).forEach((id) => known.add(id));
+        setTimeout(() => check(next_batch), 0);
+    };
+
+    check();
+};
+
 /**
  * Runs a canary test to ensure that the configured LLM service is ready and
  * terminates the process if it is not.
+ * The progress is reported with `print`, e.g. console.error to keep stdout clean.
+ *
+ * @param {function} print - The function to report the progress.
  */
-const canary = async () => {
-    console.log(`Using SearXNG at ${MAGENTA}${SEARXNG_URL}${NORMAL}.`);
-    console.log(`Using LLM at ${LLM_API_BASE_URL} (model: ${GREEN}${LLM_CHAT_MODEL || 'default'}${NORMAL}).`);
-    process.stdout.write(`${ARROW} Checking LLM...\r`);
+const canary = async (print = console.log) => {
+    PROFILE && print(`Using profile ${MAGENTA}${PROFILE}${NORMAL} from ${CONFIG.file}.`);
+    const provider = SEARCH_PROVIDERS[SEARCH_PROVIDER];
+    if (!provider) {
+        const supported = Object.keys(SEARCH_PROVIDERS).join(', ');
+        console.error(`${CROSS} ${RED}Fatal error: unknown search provider ${SEARCH_PROVIDER}!${NORMAL} (supported: ${supported})`);
+        process.exit(-1);
+    }
+    if (SEARCH_PROVIDER === 'custom' && !SEARCH_API_URL) {
+        console.error(`${CROSS} ${RED}Fatal error: SEARCH_API_URL is required for the custom search provider!${NORMAL}`);
+        process.exit(-1);
+    }
+    if (SEARCH_PROVIDER === 'local') {
+        if (!SEARCH_LOCAL_PATH || !fs.existsSync(SEARCH_LOCAL_PATH) || !fs.statSync(SEARCH_LOCAL_PATH).isDirectory()) {
+            console.error(`${CROSS} ${RED}Fatal error: SEARCH_LOCAL_PATH must point to a directory of documents!${NORMAL}`);
+            process.exit(-1);
+        }
+        const { passages } = catalog(SEARCH_LOCAL_PATH);
+        print(`Using local documents at ${MAGENTA}${SEARCH_LOCAL_PATH}${NORMAL} (${passages.length} passages).`);
+    } else if (SEARCH_PROVIDER === 'searxng') {
+        print(`Using SearXNG at ${MAGENTA}${SEARXNG_URL}${NORMAL}.`);
+    } else {
+        print(`Using ${provider.engine} search${SEARCH_API_URL ? ' at ' + MAGENTA + SEARCH_API_URL + NORMAL : ''}.`);
+    }
+    if (!LLM_ADAPTERS[vendor()]) {
+        const supported = Object.keys(LLM_ADAPTERS).join(', ');
+        console.error(`${CROSS} ${RED}Fatal error: unknown LLM API provider ${vendor()}!${NORMAL} (supported: ${supported})`);
+        process.exit(-1);
+    }
+    print(`Using LLM at ${LLM_API_BASE_URL} (model: ${GREEN}${LLM_CHAT_MODEL || 'default'}${NORMAL}).`);
+    const status = (print === console.log) ? process.stdout : process.stderr;
+    status.write(`${ARROW} Checking LLM...\r`);
     const messages = [];
     messages.push({ role: 'system', content: 'Answer concisely.' });
     messages.push({ role: 'user', content: 'What is the capital of France?' });
     try {
         await chat(messages);
-        console.log(`LLM is ${GREEN}ready${NORMAL} (working as expected).`);
+        print(`LLM is ${GREEN}ready${NORMAL} (working as expected).`);
     } catch (error) {
         console.error(`${CROSS} ${RED}Fatal error: LLM is not ready!${NORMAL}`);
         console.error(error);
@@ -1596,17 +5145,97 @@ const canary = async () => {
 };
 
 (async () => {
+    const { command, operands, options = {}, error } = CLI;
+    if (error) {
+        console.error(`${CROSS} ${RED}${error}${NORMAL}`);
+        console.error(usage());
+        process.exit(-1);
+    }
+    if (options.help) {
+        console.log(usage());
+        process.exit(0);
+    }
+    if (options.version) {
+        console.log(`Gamal ${GAMAL_VERSION}`);
+        process.exit(0);
+    }
+
+    if (command === 'ask') {
+        const format = options.format || 'text';
+        if (format !== 'text' && format !== 'json') {
+            console.error(`${CROSS} ${RED}Unknown output format ${format}!${NORMAL} (supported: text, json)`);
+            process.exit(-1);
+        }
+        let inquiry = operands.join(' ').trim();
+        if (inquiry.length === 0 && !process.stdin.isTTY) {
+            for await (const chunk of process.stdin) {
+                inquiry += chunk;
+            }
+            inquiry = inquiry.trim();
+        }
+        if (inquiry.length === 0) {
+            console.error(`${CROSS} ${RED}Missing question!${NORMAL} (usage: gamal.js ${COMMANDS.ask.usage})`);
+            process.exit(-1);
+        }
+        await canary(console.error);
+        try {
+            await ask(inquiry, format);
+        } catch (e) {
+            console.error(`${CROSS} ${RED}Unable to answer: ${e.toString()}${NORMAL}`);
+            process.exit(-1);
+        }
+        return;
+    }
+    if (command === 'eval' && operands.length === 0) {
+        console.error(`${CROSS} ${RED}Missing test file!${NORMAL} (usage: gamal.js ${COMMANDS.eval.usage})`);
+        process.exit(-1);
+    }
+    if (command === 'telegram' && !(GAMAL_TELEGRAM_TOKEN && GAMAL_TELEGRAM_TOKEN.length >= 40)) {
+        console.error(`${CROSS} ${RED}Fatal error: GAMAL_TELEGRAM_TOKEN is missing or invalid!${NORMAL}`);
+        process.exit(-1);
+    }
+    if (command === 'matrix' && !(GAMAL_MATRIX_URL && GAMAL_MATRIX_TOKEN)) {
+        console.error(`${CROSS} ${RED}Fatal error: GAMAL_MATRIX_URL and GAMAL_MATRIX_TOKEN are required!${NORMAL}`);
+        process.exit(-1);
+    }
+    if (GAMAL_TELEGRAM_WEBHOOK && !/^https:\/\/[^/]+\/./.test(GAMAL_TELEGRAM_WEBHOOK)) {
+        console.error(`${CROSS} ${RED}Fatal error: GAMAL_TELEGRAM_WEBHOOK must be an HTTPS URL with a path!${NORMAL}`);
+        process.exit(-1);
+    }
+
     await canary();
 
-    const args = process.argv.slice(2);
-    args.forEach(evaluate);
-    if (args.length == 0) {
+    if (command === 'chat') {
+        await interact();
+    } else if (command === 'serve' || (command === 'telegram' && GAMAL_TELEGRAM_WEBHOOK)) {
+        const port = parseInt(GAMAL_HTTP_PORT || 5000, 10);
+        if (Number.isNaN(port) || port <= 0 || port >= 65536) {
+            console.error(`${CROSS} ${RED}Fatal error: invalid port ${GAMAL_HTTP_PORT}!${NORMAL}`);
+            process.exit(-1);
+        }
+        await serve(port);
+    } else if (command === 'telegram') {
+        console.log('Running as a Telegram bot...');
+        await poll();
+    } else if (command === 'matrix') {
+        console.log('Running as a Matrix bot...');
+        await sync();
+    } else if (command === 'eval') {
+        for (const filename of operands) {
+            await evaluate(filename);
+        }
+    } else if (operands.length > 0) {
+        operands.forEach(evaluate);
+    } else {
         const port = parseInt(GAMAL_HTTP_PORT, 10);
         if (!Number.isNaN(port) && port > 0 && port < 65536) {
             await serve(port);
         } else if (GAMAL_TELEGRAM_TOKEN && GAMAL_TELEGRAM_TOKEN.length >= 40) {
             console.log('Running as a Telegram bot...');
-            await poll();
+            await (GAMAL_TELEGRAM_WEBHOOK ? serve(5000) : poll());
+        } else if (GAMAL_MATRIX_URL && GAMAL_MATRIX_TOKEN) {
+            console.log('Running as a Matrix bot...');
+            await sync();
         } else {
             await interact();
         }